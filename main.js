@@ -1,12 +1,41 @@
 /**
- * mainnet.js
+ * main.js
  *
- * Mainnet runner that:
+ * Runner for the selected network (SUI_NETWORK or --network <name>; profiles in
+ * src/networks.js) that:
  *  1) Computes a proposed new RGP via computeRgp()
  *  2) Prints **details table + summary lines**
- *  3) Pushes Prometheus metrics
+ *  3) Pushes the run's calculation and outcome to Pushgateway (one batch per validator)
  *  4) Optionally updates on-chain
  *
+ * Several validators can be managed at once (src/validators.js): metrics and the validator
+ * survey are fetched once per run, then each validator is computed and submitted
+ * independently with its own labels, so one failure does not stop the others.
+ *
+ * Every run is recorded per validator and epoch in the run-state store (src/runState.js): an epoch that
+ * already has a successful submission is skipped unless forced (FORCE_RUN=true / --force),
+ * and the on-chain call is skipped when the value equals what we last submitted.
+ *
+ * Approval gate (APPROVAL_THRESHOLD_PCT): a proposal that moves the RGP by more than the
+ * threshold is saved as pending instead of submitted, and is released or discarded with
+ *   node main.js approve <validator>   |   node main.js reject <validator> [reason]
+ * (or the status server). It expires at its epoch's deadline, SCHEDULER_DEADLINE_MINUTES after
+ * the epoch started.
+ *
+ * Every validator run, approval and rejection is also appended to the audit log
+ * (src/auditLog.js, AUDIT_LOG_FILE); `npm run history` reports on it.
+ * With REPORT_DIR set, each run also writes a Markdown/HTML report and per-epoch CSV (src/report.js).
+ *
+ * FIXTURE_MODE=record saves everything a run reads (GraphQL, prices, chain state) to FIXTURE_DIR;
+ * FIXTURE_MODE=replay runs from it offline with a stub signer (src/fixtures.js).
+ *
+ * With STATUS_SERVER_ENABLED=true an HTTP server (src/statusServer.js) exposes /metrics,
+ * /status, /healthz and an on-demand /proposal between runs.
+ *
+ * Network settings (RPC_URL, OPERATION_CAP_ID, GAS_BUDGET, …) may be given per network as
+ * <NETWORK>_<NAME>, and the default validator's key is read from <NETWORK>_OPERATION_PRIVATE_KEY.
+ * Run state, offline txs and Pushgateway labels are kept apart per network.
+ *
  * The **inputs table** is now printed inside computeRgp().
  */
 
@@ -14,140 +43,645 @@ require('dotenv').config();
 const cron = require('node-cron');
 
 const { computeRgp } = require('./src/computeRgp');
-const { updateGasPrice } = require('./src/updateGasPrice');
-const { pushGauge } = require('./src/pushgateway');
+const { collectMetrics } = require('./src/metrics');
+const { loadValidators } = require('./src/validators');
+const {
+    updateGasPrice, getValidatorGasQuote, preflightGasPriceTx, readKeystoreKey, keypairFromPrivateKey, signerAddress,
+} = require('./src/updateGasPrice');
+const { txExplorerUrl } = require('./src/networks');
+const { pushRunMetrics } = require('./src/pushgateway');
+const { startEpochScheduler } = require('./src/epochScheduler');
+const { fetchValidatorSurvey, analyzeSurvey } = require('./src/validatorSurvey');
+const {
+    isEpochDone, recordEpoch, getLastSubmission, getEpochRecord, getPending, setPending, listPending,
+} = require('./src/runState');
+const { getConfig, requireSetting, checkConfig, positionalArgs } = require('./src/config');
+const { loadRetryPolicy } = require('./src/retry');
+const status = require('./src/statusServer');
+const { notify } = require('./src/notify');
+const { exportUnsignedTx } = require('./src/offlineTx');
+const { auditRun } = require('./src/auditLog');
+const { writeRunReport } = require('./src/report');
+const { fixtureMode, beginRun, finishRun } = require('./src/fixtures');
 
-// ---------- tiny env helpers ----------
-function bool(name, def = false) {
-    const v = (process.env[name] || '').toLowerCase().trim();
-    if (['1','true','yes','on'].includes(v)) return true;
-    if (['0','false','no','off'].includes(v)) return false;
-    return def;
+// Private keys are never config settings: each validator names the env var holding its key,
+// or the address whose key to take from the Sui CLI keystore.
+function signingKeyFor(validator, config) {
+    const v = process.env[validator.privateKeyEnv];
+    if (v && v.trim() !== '') return v;
+    if (validator.signerAddress) return readKeystoreKey(config.SUI_KEYSTORE_PATH, validator.signerAddress);
+    throw new Error(`Missing required env: ${validator.privateKeyEnv}`);
 }
-function req(name) {
-    const v = process.env[name];
-    if (!v || v.trim() === '') throw new Error(`Missing required env: ${name}`);
-    return v;
+
+// ---------- main work ----------
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Record a status change for `epoch` everywhere it is reported: the run-state store,
+ * the status server and the caller's `report`.
+ */
+function makeTracker(name, epoch, report) {
+    return (patch) => {
+        if (patch.status) report.status = patch.status;
+        if (patch.txDigest !== undefined) report.txDigest = patch.txDigest;
+        status.updateValidator(name, patch);
+        return epoch != null ? recordEpoch(epoch, patch, name) : null;
+    };
 }
-function opt(name, def = undefined) {
-    const v = process.env[name];
-    return v === undefined ? def : v;
+
+/**
+ * Webhook events for one validator's finished run (see src/notify.js).
+ * `notifyErrors: false` (a scheduler retry that is neither the first nor the last) holds back
+ * the error event; the other events are sent as usual.
+ */
+async function notifyValidatorRun(config, name, report, error, { notifyErrors = true } = {}) {
+    const rgp = report.rgp;
+    const epoch = rgp?.epoch ?? report.metrics?.latestEpoch?.epochId ?? null;
+    if (notifyErrors && (error || report.status === 'failed' || report.status === 'unverified')) {
+        const txError = report.status === 'unverified' ? `tx ${report.tx.digest} landed, quote not verified: ${report.tx.error}` : report.tx?.error;
+        await notify('error', { validator: name, epoch, error: error ?? txError ?? 'transaction failed' });
+    }
+    if (rgp?.calc.clampHit) {
+        await notify('clamp_hit', {
+            validator: name,
+            epoch,
+            clampHit: rgp.calc.clampHit,
+            rawRgpMist: rgp.calc.R_raw,
+            finalRgpMist: rgp.proposedRgpMist,
+            currentRgpMist: rgp.inputs.currentRgp,
+        });
+    }
+    if (report.status === 'pending_approval' && report.pending) {
+        await notify('approval_pending', {
+            validator: name,
+            epoch,
+            currentRgpMist: report.pending.currentRgp,
+            proposedRgpMist: report.pending.proposedRgpMist,
+            changePct: report.pending.changePct,
+            expiresAt: report.pending.expiresAt,
+        });
+    }
+    if (report.status === 'submitted') {
+        await notify('submitted', {
+            validator: name,
+            epoch,
+            oldRgpMist: report.tx.quoteBefore?.nextEpochGasPrice ?? rgp.inputs.currentRgp,
+            newRgpMist: rgp.proposedRgpMist,
+            txDigest: report.tx.digest,
+            txUrl: txExplorerUrl(report.tx.digest, config.EXPLORER_TX_URL),
+        });
+    }
 }
 
-// ---------- main work ----------
-async function runOnceMainnet() {
-    console.log('[mainnet] starting RGP computation…');
+/**
+ * One metrics fetch and one survey, shared by every validator.
+ * `saveJson: false` (on-demand proposals) leaves METRICS_OUT_JSON alone.
+ */
+async function fetchShared(config, { saveJson = true } = {}) {
+    const rpc = config.RPC_URL;
+    const metrics = await collectMetrics({ saveJson });
+    let rawSurvey = null;
+    if (rpc && config.SURVEY_ENABLED) {
+        try {
+            rawSurvey = await fetchValidatorSurvey(rpc);
+        } catch (e) {
+            console.warn(`[${config.SUI_NETWORK}] validator survey failed:`, e?.message || e);
+        }
+    }
+    return { metrics, rawSurvey, rpc, network: config.SUI_NETWORK };
+}
+
+/** Read the validator's on-chain quote (best effort) and compute its proposal. */
+async function proposeFor(validator, { metrics, rawSurvey, rpc, network }) {
+    const tag = `[${network}:${validator.name}]`;
 
-    const result = await computeRgp();
-    const proposed = result?.proposedRgpMist;
+    // Our validator's current next-epoch quote (best effort; needs RPC + op cap)
+    let quote = null;
+    if (rpc && validator.operationCapId) {
+        try {
+            quote = await getValidatorGasQuote(rpc, validator.operationCapId);
+        } catch (e) {
+            console.warn(`${tag} could not read on-chain quote:`, e?.message || e);
+        }
+    }
+    const ourAddress = validator.validatorAddress || quote?.validatorAddress || null;
 
-    if (!Number.isFinite(proposed) || proposed <= 0) {
+    console.log(`\n${tag} computing proposal…`);
+    const result = await computeRgp({
+        metrics,
+        policyOverrides: validator.policy,
+        peers: rawSurvey?.validators ?? null,
+        ourAddress,
+    });
+    if (!Number.isFinite(result?.proposedRgpMist) || result.proposedRgpMist <= 0) {
         throw new Error('Proposed RGP is invalid.');
     }
+    return { result, quote, ourAddress };
+}
+
+/**
+ * One pass over every validator.
+ * @param {{ force?: boolean, deadlineAt?: number|null, attempt?: number, finalAttempt?: boolean }} opts
+ *   deadlineAt: no submission after this time (ms), set by the epoch scheduler
+ *   attempt / finalAttempt: set by the epoch scheduler on retries; errors are only notified on
+ *   the first attempt and the last one, so a retried outage does not page on every attempt
+ */
+async function runOnce({ force, deadlineAt = null, attempt = 1, finalAttempt = true } = {}) {
+    status.recordRunStart();
+    const notifyErrors = attempt === 1 || finalAttempt;
+
+    let epoch = null;
+    let validatorsRan = false; // past this point failures are notified per validator
+    try {
+        const config = getConfig();
+        const network = config.SUI_NETWORK;
+        console.log(`[${network}] starting RGP computation…`);
+        force = force ?? config.FORCE_RUN;
+        loadRetryPolicy(config);
+        beginRun(config);
+        const validators = loadValidators(config);
+        console.log(`[${network}] validators: ${validators.map((v) => v.name).join(', ')}`);
+
+        const shared = await fetchShared(config);
+        epoch = shared.metrics?.latestEpoch?.epochId ?? null;
+
+        // Each validator is computed and submitted independently; a failure does not stop the rest
+        validatorsRan = true;
+        const results = [];
+        const reported = [];
+        for (const validator of validators) {
+            const report = { status: 'error', metrics: shared.metrics }; // filled in as the run progresses
+            let error = null;
+            try {
+                results.push(await runForValidator(validator, { config, ...shared, force, deadlineAt, report }));
+            } catch (e) {
+                error = e?.message || String(e);
+                console.error(`[${network}:${validator.name}] run error:`, error);
+                if (report.status === 'computed') report.status = 'error';
+                status.updateValidator(validator.name, { status: report.status, error });
+                results.push({ validator: validator.name, error });
+            }
+            await notifyValidatorRun(config, validator.name, report, error, { notifyErrors });
+            auditRun(validator.name, report, { error, config });
+            reported.push({ name: validator.name, report, error });
+
+            // The whole run for this validator as one Pushgateway group
+            try {
+                await pushRunMetrics({ validator: validator.name, network }, report);
+            } catch (e) {
+                console.error('[pushgateway] push failed:', e?.message || e);
+            }
+        }
+
+        writeRunReport({ config, metrics: shared.metrics, validators: reported });
+        finishRun(reported, config);
+
+        const failed = results.filter((r) => r.error);
+        if (failed.length) {
+            throw new Error(`${failed.length}/${results.length} validator run(s) failed: ${failed.map((r) => r.validator).join(', ')}`);
+        }
+        status.recordRunEnd({ ok: true, epoch });
+        return { epoch, results };
+    } catch (e) {
+        status.recordRunEnd({ ok: false, error: e?.message || String(e), epoch });
+        if (!validatorsRan) {
+            if (notifyErrors) await notify('error', { epoch, error: e?.message || String(e) });
+            auditRun(null, { status: 'error' }, { error: e?.message || String(e) });
+        }
+        throw e;
+    }
+}
+
+/**
+ * Compute proposals without submitting or recording anything (status server /proposal).
+ * @param {{ validator?: string }} opts  Limit to one validator by name
+ */
+async function proposeNow({ validator: only } = {}) {
+    const config = getConfig();
+    // Its reads would be appended to the recording (record) or use up recorded answers (replay)
+    if (fixtureMode(config) !== 'off') {
+        throw new Error(`on-demand proposals are disabled under FIXTURE_MODE=${fixtureMode(config)}`);
+    }
+    const validators = loadValidators(config).filter((v) => !only || v.name === only);
+    if (!validators.length) throw new Error(`Unknown validator '${only}'`);
+
+    const shared = await fetchShared(config, { saveJson: false });
+    const out = [];
+    for (const validator of validators) {
+        const { result, quote } = await proposeFor(validator, shared);
+        out.push({
+            validator: validator.name,
+            epoch: result.epoch,
+            proposedRgpMist: result.proposedRgpMist,
+            onchainQuote: quote ? quote.nextEpochGasPrice : null,
+            inputs: result.inputs,
+            calc: result.calc,
+        });
+    }
+    return { generatedAt: new Date().toISOString(), submitted: false, proposals: out };
+}
+
+/**
+ * @param {Object} validator  A loadValidators() entry
+ * @param {Object} ctx        { config, metrics, rawSurvey, rpc, network, force, deadlineAt, report }
+ *   `report` is filled with { status, rgp, survey, tx } as the run progresses, so the caller
+ *   can still report a run that threw half-way.
+ */
+async function runForValidator(validator, { config, metrics, rawSurvey, rpc, network, force, deadlineAt = null, report = {} }) {
+    const name = validator.name;
+    const tag = `[${network}:${name}]`;
+
+    const { result, quote, ourAddress } = await proposeFor(validator, { metrics, rawSurvey, rpc, network });
+    const proposed = result.proposedRgpMist;
+    const epoch = result.epoch;
+
+    if (epoch != null && isEpochDone(epoch, name) && !force) {
+        const prev = getEpochRecord(epoch, name);
+        console.log(`${tag} epoch ${epoch} already ${prev.status} (RGP ${prev.proposedRgpMist}, tx ${prev.txDigest ?? 'n/a'}) → skipping. Use --force to re-run.`);
+        status.updateValidator(name, { epoch, status: 'skipped', proposedRgpMist: prev.proposedRgpMist, txDigest: prev.txDigest ?? null });
+        report.status = 'skipped';
+        return { validator: name, proposedRgpMist: prev.proposedRgpMist, skipped: true };
+    }
+
+    report.rgp = result;
+    status.updateValidator(name, {
+        epoch, inputs: result.inputs, calc: result.calc, survey: null, txDigest: null, error: null,
+    });
+    const track = makeTracker(name, epoch, report);
+    track({
+        proposedRgpMist: proposed,
+        jitter: result.calc.jitter,
+        status: 'computed',
+        txDigest: null,
+        error: null,
+        attempts: (getEpochRecord(epoch, name)?.attempts ?? 0) + 1,
+    });
 
     // DETAILS table (kept here)
-    console.log('\n=== RGP Calculation Details ===');
+    console.log(`\n=== RGP Calculation Details (${name}) ===`);
     console.table([{
+        strategy: result.calc.strategy,
         R_raw: result.calc.R_raw,
         clampMin: result.calc.clampMin,
         clampMax: result.calc.clampMax,
         R_clamped: result.calc.R_clamped,
         jitter: result.calc.jitter,
         R_final: result.calc.R_final,
+        onchainQuote: quote ? quote.nextEpochGasPrice : 'N/A',
+        diffVsQuote: quote ? proposed - quote.nextEpochGasPrice : 'N/A',
     }]);
 
+    // Network-wide survey: where would our proposal land?
+    let survey = null;
+    if (rawSurvey) {
+        survey = analyzeSurvey(rawSurvey, { ourAddress, proposal: proposed });
+        status.updateValidator(name, { survey });
+        report.survey = survey;
+        console.log(`\n=== Validator Survey (${name}) ===`);
+        console.table([{
+            validators: survey.validators,
+            rgpFromCurrentQuotes: survey.rgpFromCurrentQuotes,
+            rgpFromNextEpochQuotes: survey.rgpFromNextEpochQuotes,
+            rgpWithProposal: survey.rgpWithProposal,
+            proposalRank: survey.proposalRank,
+            votingPowerBelowPct: Number.isFinite(survey.votingPowerBelowPct)
+                ? survey.votingPowerBelowPct.toFixed(2) : 'N/A',
+            position: survey.position,
+            movesRgp: survey.movesRgp ?? 'N/A',
+        }]);
+    }
+
     // Summary lines
-    console.log('\n[mainnet] Proposed RGP (MIST):', proposed);
-    console.log('[mainnet] Current RGP (MIST):', result.inputs.currentRgp);
-    console.log('[mainnet] Scale factor k:', result.calc.k);
-    console.log('[mainnet] Guard rails enabled:', result.inputs.guardRailsEnabled,
+    console.log(`\n${tag} Proposed RGP (MIST):`, proposed);
+    console.log(`${tag} Current RGP (MIST):`, result.inputs.currentRgp);
+    console.log(`${tag} Scale factor k:`, result.calc.k);
+    console.log(`${tag} Guard rails enabled:`, result.inputs.guardRailsEnabled,
         'range:', (result.calc.clampMin != null || result.calc.clampMax != null)
             ? [result.calc.clampMin, result.calc.clampMax] : null);
 
-    // Push metrics to Pushgateway
-    const labels = {
-        project: 'sui',
-        env: 'mainnet',
-        type: 'ui',
-        subtype: 'rgp',
-    };
-    try {
-        await pushGauge({
-            name: 'sui_reference_gas_price_proposed_mist',
-            help: 'Proposed reference gas price (MIST)',
-            labels,
-            value: proposed,
-            job: 'platform',
-        });
-        await pushGauge({
-            name: 'sui_reference_gas_price_current_mist',
-            help: 'Current reference gas price at time of proposal (MIST)',
-            labels,
-            value: result.inputs.currentRgp,
-            job: 'platform',
-        });
-    } catch (e) {
-        console.error('[pushgateway] push failed:', e?.message || e);
-    }
-
     // Respect DRY_RUN / UPDATE_ONCHAIN
-    const DRY_RUN = bool('DRY_RUN', false);
-    const UPDATE_ONCHAIN = bool('UPDATE_ONCHAIN', false);
+    const DRY_RUN = config.DRY_RUN;
+    const UPDATE_ONCHAIN = config.UPDATE_ONCHAIN;
 
     if (DRY_RUN) {
-        console.log('[mainnet] DRY_RUN=true → not sending any on-chain tx.');
-        return { proposedRgpMist: proposed, dryRun: true };
+        console.log(`${tag} DRY_RUN=true → not sending any on-chain tx.`);
+        const preflight = await dryRunPreflight(validator, config, proposed);
+        report.preflight = preflight;
+        track({ status: 'dry_run', error: preflight?.error ?? null });
+        if (preflight && !preflight.ok) throw new Error(`pre-flight failed: ${preflight.error}`);
+        return { validator: name, proposedRgpMist: proposed, dryRun: true, preflight, survey };
     }
 
     if (!UPDATE_ONCHAIN) {
-        console.log('[mainnet] UPDATE_ONCHAIN=false → returning proposed value only.');
-        return { proposedRgpMist: proposed, dryRun: false };
+        console.log(`${tag} UPDATE_ONCHAIN=false → returning proposed value only.`);
+        track({ status: 'proposed_only' });
+        return { validator: name, proposedRgpMist: proposed, dryRun: false, survey };
+    }
+
+    const last = getLastSubmission(name);
+    if (last && last.proposedRgpMist === proposed && !force) {
+        console.log(`${tag} ${proposed} MIST equals our last submission (epoch ${last.epoch}, tx ${last.txDigest ?? 'n/a'}) → no on-chain call.`);
+        track({ status: 'unchanged', txDigest: last.txDigest ?? null });
+        return { validator: name, proposedRgpMist: proposed, updatedOnChain: false, unchanged: true };
+    }
+
+    // Approval gate: a large move waits for a human instead of being submitted
+    const currentRgp = result.inputs.currentRgp;
+    const changePct = ((proposed - currentRgp) / currentRgp) * 100;
+    if (config.APPROVAL_THRESHOLD_PCT !== null && Math.abs(changePct) > config.APPROVAL_THRESHOLD_PCT) {
+        return holdForApproval(validator, { config, result, changePct, metrics, track, report });
+    }
+
+    // The run may have started inside the scheduler's window and reached this point after it
+    if (deadlineAt !== null && Date.now() > deadlineAt) {
+        const error = `past the submission deadline (${new Date(deadlineAt).toISOString()})`;
+        console.warn(`${tag} ${error} → not submitting for epoch ${epoch}.`);
+        track({ status: 'skipped', error });
+        return { validator: name, proposedRgpMist: proposed, updatedOnChain: false, skipped: true };
+    }
+
+    return submitProposal(validator, { config, proposed, track, report, survey });
+}
+
+/**
+ * Send `proposed` on-chain for `validator` and record the outcome through `track`.
+ * A tx that landed but whose quote could not be confirmed is recorded as `unverified`, not
+ * `failed`, so it is never sent again.
+ */
+async function submitProposal(validator, { config, proposed, track, report, survey = null }) {
+    const name = validator.name;
+    const network = config.SUI_NETWORK;
+    const tag = `[${network}:${name}]`;
+
+    // Offline signing: export the unsigned tx; `src/offlineTx.js submit` finishes it
+    if (config.SIGNING_MODE === 'offline') {
+        const { file, record } = await exportUnsignedTx({ config, validator, epoch: report.rgp.epoch, proposedRgpMist: proposed });
+        track({ status: 'awaiting_signature', proposedRgpMist: record.proposedRgpMist, txDigest: record.digest });
+        console.log(`${tag} ✍ unsigned tx in ${file}; sign it, then: node src/offlineTx.js submit ${file}`);
+        return { validator: name, proposedRgpMist: record.proposedRgpMist, updatedOnChain: false, unsignedTx: file, survey };
     }
 
     // Update on-chain
-    const network = 'mainnet';
-    const rpc = req('MAINNET_RPC_URL');
-    const privateKey = req('MAINNET_OPERATION_PRIVATE_KEY');
-    const opCapId = req('MAINNET_OPERATION_CAP_ID');
-    const gasBudget = req('MAINNET_GAS_BUDGET');
+    const submitRpc = requireSetting(config, 'RPC_URL');
+    const privateKey = fixtureMode(config) === 'replay' ? null : signingKeyFor(validator, config);
+    const opCapId = validator.operationCapId || requireSetting(config, 'OPERATION_CAP_ID');
+    const gasBudget = validator.gasBudget ?? config.GAS_BUDGET;
 
-    console.log('[mainnet] Submitting on-chain update…');
-    const ok = await updateGasPrice(network, rpc, privateKey, opCapId, gasBudget, proposed);
+    console.log(`${tag} Submitting on-chain update…`);
+    const tx = await updateGasPrice(network, submitRpc, privateKey, opCapId, gasBudget, proposed, budgetOptions(config));
+    report.tx = tx;
 
-    if (ok) {
-        console.log('[mainnet] ✅ RGP updated on-chain to', proposed, 'MIST');
-    } else {
-        console.log('[mainnet] ❌ updateGasPrice returned false; no on-chain update performed.');
+    console.log(`\n=== On-chain Submission (${name}) ===`);
+    console.table([{
+        digest: tx.digest ?? 'N/A',
+        status: tx.status,
+        gasUsedMist: tx.gasUsed ? tx.gasUsed.netMist : 'N/A',
+        quoteBefore: tx.quoteBefore ? tx.quoteBefore.nextEpochGasPrice : 'N/A',
+        quoteAfter: tx.quoteAfter ? tx.quoteAfter.nextEpochGasPrice : 'N/A',
+        verified: tx.verified,
+    }]);
+
+    if (tx.ok) {
+        console.log(`${tag} ✅ RGP updated on-chain to`, proposed, 'MIST');
+        track({ status: 'submitted', txDigest: tx.digest });
+        return { validator: name, proposedRgpMist: proposed, updatedOnChain: true, txDigest: tx.digest, tx, survey };
+    }
+
+    if (tx.status === 'success') {
+        console.warn(`${tag} ⚠ tx ${tx.digest} landed but the quote could not be verified:`, tx.error);
+        track({ status: 'unverified', txDigest: tx.digest, error: tx.error });
+        return { validator: name, proposedRgpMist: proposed, updatedOnChain: true, txDigest: tx.digest, tx, survey };
+    }
+    track({ status: 'failed', txDigest: tx.digest, error: tx.error });
+    console.log(`${tag} ❌ updateGasPrice failed; no on-chain update performed:`, tx.error);
+    return { validator: name, proposedRgpMist: proposed, updatedOnChain: false, txDigest: tx.digest, tx, survey };
+}
+
+function budgetOptions(config) {
+    return { budgetMode: config.GAS_BUDGET_MODE, marginPct: config.GAS_BUDGET_MARGIN_PCT };
+}
+
+/**
+ * DRY_RUN pre-flight: dry-runs the tx and checks cap ownership, budget and balance, so a dry
+ * run proves the submission would succeed. Needs the RPC, the op cap and a key or signer
+ * address; without them it is skipped (null).
+ */
+async function dryRunPreflight(validator, config, proposed) {
+    const tag = `[${config.SUI_NETWORK}:${validator.name}]`;
+    const opCapId = validator.operationCapId || config.OPERATION_CAP_ID;
+    const key = process.env[validator.privateKeyEnv];
+    const sender = validator.signerAddress
+        ?? signerAddress(opCapId, () => (key && key.trim() !== '' ? keypairFromPrivateKey(key).address : null));
+    if (!config.RPC_URL || !opCapId || !sender) {
+        console.log(`${tag} pre-flight skipped: needs RPC_URL, the operation cap id and a key or signer address.`);
+        return null;
     }
 
-    return { proposedRgpMist: proposed, updatedOnChain: !!ok };
+    const preflight = await preflightGasPriceTx(config.RPC_URL, {
+        sender,
+        OpCapId: opCapId,
+        gasBudget: validator.gasBudget ?? config.GAS_BUDGET,
+        gasPrice: proposed,
+        ...budgetOptions(config),
+    });
+    console.log(`\n=== Pre-flight (${validator.name}) ===`);
+    console.table([{
+        ok: preflight.ok,
+        sender: preflight.sender,
+        balanceMist: preflight.balanceMist ?? 'N/A',
+        estimatedGasMist: preflight.estimatedGasMist ?? 'N/A',
+        gasBudget: preflight.gasBudget,
+        budgetMode: preflight.budgetMode,
+    }]);
+    if (!preflight.ok) console.error(`${tag} ❌ pre-flight failed: ${preflight.error}`);
+    return preflight;
+}
+
+/* ---------- approval gate ---------- */
+
+function isExpired(pending) {
+    return Date.now() > Date.parse(pending.expiresAt);
+}
+
+/** Save the proposal as pending (or keep the one already waiting for this epoch). */
+function holdForApproval(validator, { config, result, changePct, metrics, track, report }) {
+    const name = validator.name;
+    const tag = `[${config.SUI_NETWORK}:${name}]`;
+    const epoch = result.epoch;
+
+    const existing = getPending(name);
+    if (existing && existing.epoch === epoch && !isExpired(existing)) {
+        console.log(`${tag} ${existing.proposedRgpMist} MIST for epoch ${epoch} already awaits approval (expires ${existing.expiresAt}) → keeping it.`);
+        track({ status: 'pending_approval', proposedRgpMist: existing.proposedRgpMist });
+        return { validator: name, proposedRgpMist: existing.proposedRgpMist, pendingApproval: true };
+    }
+
+    const startMs = metrics?.latestEpoch?.epochId === epoch ? metrics.latestEpoch.startTimestampMs : null;
+    const pending = {
+        epoch,
+        proposedRgpMist: result.proposedRgpMist,
+        currentRgp: result.inputs.currentRgp,
+        changePct,
+        inputs: result.inputs,
+        calc: result.calc,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date((startMs ?? Date.now()) + config.SCHEDULER_DEADLINE_MINUTES * MINUTE_MS).toISOString(),
+    };
+    setPending(pending, name);
+    report.pending = pending;
+    track({ status: 'pending_approval' });
+    console.log(
+        `${tag} ⏸ change of ${changePct.toFixed(2)}% exceeds APPROVAL_THRESHOLD_PCT=${config.APPROVAL_THRESHOLD_PCT} →`,
+        `saved as pending until ${pending.expiresAt}. Release with: node main.js approve ${name}`
+    );
+    return { validator: name, proposedRgpMist: result.proposedRgpMist, pendingApproval: true, pending };
+}
+
+function findValidator(config, name) {
+    const validator = loadValidators(config).find((v) => v.name === name);
+    if (!validator) throw new Error(`Unknown validator '${name}'`);
+    return validator;
+}
+
+/** Submit a validator's pending proposal. */
+async function approvePending(name) {
+    const config = getConfig();
+    const validator = findValidator(config, name);
+    const pending = getPending(name);
+    if (!pending) throw new Error(`No pending proposal for '${name}'`);
+
+    const report = {
+        status: 'error',
+        metrics: null,
+        rgp: { epoch: pending.epoch, proposedRgpMist: pending.proposedRgpMist, inputs: pending.inputs, calc: pending.calc },
+    };
+    const track = makeTracker(name, pending.epoch, report);
+
+    if (isExpired(pending)) {
+        const error = `Pending proposal for '${name}' (epoch ${pending.epoch}) expired at ${pending.expiresAt}`;
+        setPending(null, name);
+        track({ status: 'expired' });
+        auditRun(name, report, { trigger: 'approve', error, config });
+        throw new Error(error);
+    }
+    if (config.DRY_RUN || !config.UPDATE_ONCHAIN) {
+        throw new Error('Refusing to submit: DRY_RUN=true or UPDATE_ONCHAIN=false');
+    }
+
+    // Claim it before sending so a second approval cannot submit twice
+    setPending(null, name);
+    console.log(`[${config.SUI_NETWORK}:${name}] approved ${pending.proposedRgpMist} MIST for epoch ${pending.epoch} (${pending.changePct.toFixed(2)}%)`);
+
+    let out = null;
+    let error = null;
+    try {
+        out = await submitProposal(validator, { config, proposed: pending.proposedRgpMist, track, report });
+    } catch (e) {
+        error = e?.message || String(e);
+        // Nothing was sent (missing key, RPC, …) → keep it pending for another try
+        if (!report.tx) setPending(pending, name);
+    }
+    await notifyValidatorRun(config, name, report, error);
+    auditRun(name, report, { trigger: 'approve', error, config });
+    try {
+        await pushRunMetrics({ validator: name, network: config.SUI_NETWORK }, report);
+    } catch (e) {
+        console.error('[pushgateway] push failed:', e?.message || e);
+    }
+    if (error) throw new Error(error);
+    return out;
+}
+
+/** Discard a validator's pending proposal. */
+async function rejectPending(name, reason = null) {
+    const config = getConfig();
+    const pending = getPending(name);
+    if (!pending) throw new Error(`No pending proposal for '${name}'`);
+    setPending(null, name);
+    const report = {
+        rgp: { epoch: pending.epoch, proposedRgpMist: pending.proposedRgpMist, inputs: pending.inputs, calc: pending.calc },
+        pending,
+    };
+    makeTracker(name, pending.epoch, report)({ status: 'rejected', error: reason });
+    auditRun(name, report, { trigger: 'reject', error: reason, config });
+    console.log(`[${config.SUI_NETWORK}:${name}] rejected ${pending.proposedRgpMist} MIST for epoch ${pending.epoch}${reason ? `: ${reason}` : ''}`);
+    return { validator: name, rejected: pending };
 }
 
 // ---------- CLI / Scheduler ----------
+const serverActions = { propose: proposeNow, listPending, approve: approvePending, reject: rejectPending };
+
+/** `pending` | `approve <validator>` | `reject <validator> [reason]` */
+async function approvalCommand(cmd, [name = 'default', ...reason]) {
+    if (cmd === 'pending') {
+        const rows = Object.entries(listPending()).map(([validator, p]) => ({
+            validator,
+            epoch: p.epoch,
+            currentRgp: p.currentRgp,
+            proposedRgpMist: p.proposedRgpMist,
+            changePct: Number(p.changePct.toFixed(2)),
+            expiresAt: p.expiresAt,
+            expired: isExpired(p),
+        }));
+        if (rows.length) console.table(rows);
+        else console.log('No pending proposals.');
+        return;
+    }
+    if (cmd === 'approve') return approvePending(name);
+    return rejectPending(name, reason.join(' ') || null);
+}
+
 async function start() {
-    const CRON_ENABLED = bool('CRON_ENABLED', true);
-    const schedule = opt('CRON_SCHEDULE', '30 18 * * *'); // 16:55 UTC daily
-
-    if (CRON_ENABLED) {
-        console.log('[mainnet] Cron enabled. Schedule:', schedule, '(UTC)');
-        cron.schedule(schedule, () => {
-            runOnceMainnet().catch((e) => {
-                console.error('[mainnet] run error:', e.message);
+    // Fail loudly on a bad configuration before anything is scheduled
+    const config = getConfig();
+    const problems = checkConfig(config);
+    if (problems.length) {
+        throw new Error(`invalid configuration (see \`npm run validate-config\`):\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const network = config.SUI_NETWORK;
+    const CRON_ENABLED = config.CRON_ENABLED;
+    const mode = config.SCHEDULER_MODE; // 'cron' | 'epoch'
+    const schedule = config.CRON_SCHEDULE; // 18:30 UTC daily by default
+
+    if (CRON_ENABLED && mode === 'epoch') {
+        console.log(`[${network}] Epoch scheduler enabled.`);
+        const scheduler = startEpochScheduler((epoch, opts) => runOnce(opts));
+        if (config.STATUS_SERVER_ENABLED) {
+            status.startStatusServer({ ...serverActions, nextRunAt: () => scheduler.nextRunAt() });
+        }
+    } else if (CRON_ENABLED) {
+        console.log(`[${network}] Cron enabled. Schedule:`, schedule, '(UTC)');
+        const task = cron.schedule(schedule, () => {
+            runOnce().catch((e) => {
+                console.error(`[${network}] run error:`, e.message);
             });
         });
+        if (config.STATUS_SERVER_ENABLED) {
+            status.startStatusServer({ ...serverActions, nextRunAt: () => task.getNextRun() });
+        }
     } else {
-        console.log('[mainnet] Cron disabled → running once now.');
+        // A one-shot run exits when done, so there is nothing to serve
+        if (config.STATUS_SERVER_ENABLED) console.log(`[${network}] STATUS_SERVER_ENABLED ignored: cron disabled, running once.`);
+        console.log(`[${network}] Cron disabled → running once now.`);
         try {
-            await runOnceMainnet();
+            await runOnce({ force: config.FORCE_RUN || process.argv.includes('--force') });
         } catch (e) {
-            console.error('[mainnet] run error:', e.message);
+            console.error(`[${network}] run error:`, e.message);
             process.exit(1);
         }
     }
 }
 
 if (require.main === module) {
-    start();
+    const [cmd, ...args] = positionalArgs();
+    const run = ['pending', 'approve', 'reject'].includes(cmd) ? approvalCommand(cmd, args) : start();
+    run.catch((e) => {
+        console.error('[rgp]', e.message);
+        process.exit(1);
+    });
 }
 
-module.exports = { runOnceMainnet };
\ No newline at end of file
+// runOnceMainnet: the name from before network profiles
+module.exports = { runOnce, runOnceMainnet: runOnce, proposeNow, approvePending, rejectPending };
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * aggregate.js
+ *
+ * Aggregation methods for per-epoch series (used by metrics.summarize()).
+ *
+ *   mean        - simple unweighted mean (every epoch counts the same)
+ *   tx_weighted - ratio of totals: each epoch weighted by the denominator of its ratio, so
+ *                 per-tx cost (weight: tx count) = total comp / total tx and comp share
+ *                 (weight: total gas fees) = total comp / total gas fees
+ *   median      - middle value
+ *   ewma        - exponentially weighted by epoch age; weight halves every `halfLife` epochs
+ *   trimmed     - mean after dropping `trimPct` % of points from EACH end
+ *
+ * Non-finite values (N/A epochs) are skipped together with their weight.
+ */
+
+const METHODS = ['mean', 'tx_weighted', 'median', 'ewma', 'trimmed'];
+
+function weightedMean(xs, ws) {
+    let num = 0;
+    let den = 0;
+    xs.forEach((x, i) => {
+        num += x * ws[i];
+        den += ws[i];
+    });
+    return den > 0 ? num / den : NaN;
+}
+
+function median(xs) {
+    if (!xs.length) return NaN;
+    const s = [...xs].sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function trimmedMean(xs, trimPct) {
+    if (!xs.length) return NaN;
+    const s = [...xs].sort((a, b) => a - b);
+    const cut = Math.floor((s.length * trimPct) / 100);
+    const kept = s.length - 2 * cut > 0 ? s.slice(cut, s.length - cut) : s;
+    return kept.reduce((a, b) => a + b, 0) / kept.length;
+}
+
+/**
+ * Aggregate a per-epoch series.
+ *
+ * @param {Array<{value:number, weight:number, epochId:number}>} points
+ *        weight: the denominator of `value` for that epoch (tx_weighted only)
+ * @param {{method:string, halfLife?:number, trimPct?:number}} spec
+ * @returns {number} NaN when there is nothing to aggregate
+ */
+function aggregate(points, spec) {
+    const pts = points.filter((p) => Number.isFinite(p.value));
+    const xs = pts.map((p) => p.value);
+    if (!pts.length) return NaN;
+
+    switch (spec.method) {
+        case 'mean':
+            return xs.reduce((a, b) => a + b, 0) / xs.length;
+        case 'tx_weighted':
+            return weightedMean(xs, pts.map((p) => p.weight));
+        case 'median':
+            return median(xs);
+        case 'ewma': {
+            const newest = Math.max(...pts.map((p) => Number(p.epochId)));
+            return weightedMean(xs, pts.map((p) => 0.5 ** ((newest - Number(p.epochId)) / spec.halfLife)));
+        }
+        case 'trimmed':
+            return trimmedMean(xs, spec.trimPct);
+        default:
+            throw new Error(`Unknown aggregation method '${spec.method}' (expected one of: ${METHODS.join(', ')})`);
+    }
+}
+
+/** Short label for tables/payloads, e.g. 'ewma(halfLife=7)'. */
+function describeAggregation(spec) {
+    if (spec.method === 'ewma') return `ewma(halfLife=${spec.halfLife})`;
+    if (spec.method === 'trimmed') return `trimmed(${spec.trimPct}%)`;
+    return spec.method;
+}
+
+module.exports = {
+    METHODS,
+    aggregate,
+    describeAggregation,
+    median,
+};
@@ -0,0 +1,293 @@
+/**
+ * auditLog.js
+ *
+ * Append-only audit log (AUDIT_LOG_FILE, JSON Lines): one record per validator run, approval,
+ * rejection and offline submission, so why a given RGP was quoted survives restarts.
+ *
+ * Record:
+ *   { at, network, validator, trigger, epoch, status, proposedRgpMist, currentRgpMist,
+ *     changePct, txDigest, error, inputs, calc, metrics, survey, preflight, pending }
+ *   trigger  - run | approve | reject | offline_submit
+ *   status   - the run status (dry_run, skipped, submitted, …; see runState.js) or 'error'
+ *   metrics  - the aggregated snapshot the proposal was computed from (overall, overallForRgp,
+ *              latest epoch, anomaly report), not the per-epoch rows
+ *
+ * Lines are only ever appended; a failed write is logged and never stops a run.
+ *
+ * History report:
+ *   node src/auditLog.js [--epoch 812 | --epoch 800-812] [--from 2026-01-01] [--to 2026-01-31]
+ *                        [--validator alpha] [--status submitted]      (npm run history)
+ * lists the matching runs, then the proposals per epoch, clamp-hit frequency and the jitter
+ * distribution. --from / --to take ISO dates or timestamps; a bare --to date includes that day.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { localPath } = require('./fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLAMP_HITS = ['min', 'max', 'abs_min', 'abs_max'];
+
+/* ----------------------------------- write ----------------------------------- */
+
+function appendAuditRecord(record, config = getConfig()) {
+    if (!config.AUDIT_LOG_ENABLED) return false;
+    const file = auditLogFile(config);
+    try {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(record) + '\n');
+        return true;
+    } catch (e) {
+        console.error(`[audit] could not append to ${file}:`, e.message);
+        return false;
+    }
+}
+
+/** The parts of a collectMetrics() payload a proposal was computed from. */
+function metricsSnapshot(metrics) {
+    if (!metrics) return null;
+    return {
+        generatedAt: metrics.generatedAt ?? null,
+        latestEpoch: metrics.latestEpoch ?? null,
+        window: metrics.window ?? null,
+        overall: metrics.overall ?? null,
+        overallForRgp: metrics.overallForRgp ?? null,
+        anomalies: metrics.anomalies ?? null,
+    };
+}
+
+/**
+ * Record one validator's run from the runner's `report` ({ status, metrics, rgp, survey, tx,
+ * preflight, pending, txDigest }).
+ * @param {string|null} validator  null for a run that failed before any validator ran
+ * @param {Object} report
+ * @param {{ trigger?: string, error?: string|null, config?: Object }} [opts]
+ */
+function auditRun(validator, report, { trigger = 'run', error = null, config = getConfig() } = {}) {
+    const rgp = report.rgp ?? null;
+    const currentRgpMist = rgp?.inputs?.currentRgp ?? null;
+    const proposedRgpMist = rgp?.proposedRgpMist ?? null;
+    return appendAuditRecord({
+        at: new Date().toISOString(),
+        network: config.SUI_NETWORK,
+        validator,
+        trigger,
+        epoch: rgp?.epoch ?? report.metrics?.latestEpoch?.epochId ?? null,
+        status: report.status ?? 'error',
+        proposedRgpMist,
+        currentRgpMist,
+        changePct: proposedRgpMist !== null && currentRgpMist ? ((proposedRgpMist - currentRgpMist) / currentRgpMist) * 100 : null,
+        txDigest: report.tx?.digest ?? report.txDigest ?? null,
+        error: error ?? report.tx?.error ?? null,
+        inputs: rgp?.inputs ?? null,
+        calc: rgp?.calc ?? null,
+        metrics: metricsSnapshot(report.metrics),
+        survey: report.survey ?? null,
+        preflight: report.tx?.preflight ?? report.preflight ?? null,
+        pending: report.pending ? { changePct: report.pending.changePct, expiresAt: report.pending.expiresAt } : null,
+    }, config);
+}
+
+/* ------------------------------------ read ----------------------------------- */
+
+/** The log appendAuditRecord() writes to (FIXTURE_DIR/replay/… while replaying). */
+function auditLogFile(config = getConfig()) {
+    return localPath(config, 'AUDIT_LOG_FILE');
+}
+
+/** @returns {Array<Object>} every record, oldest first; unparsable lines are skipped with a warning */
+function readAuditLog(file = auditLogFile()) {
+    if (!fs.existsSync(file)) return [];
+    const records = [];
+    let bad = 0;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            bad++;
+        }
+    }
+    if (bad) console.warn(`[audit] skipped ${bad} unreadable line(s) in ${file}`);
+    return records;
+}
+
+/**
+ * @param {Array<Object>} records
+ * @param {Object} filters
+ * @param {[number, number]} [filters.epochs]  inclusive epoch range
+ * @param {number} [filters.fromMs]            inclusive
+ * @param {number} [filters.toMs]              exclusive
+ * @param {string} [filters.validator]
+ * @param {string} [filters.status]
+ */
+function filterRecords(records, { epochs, fromMs, toMs, validator, status } = {}) {
+    return records.filter((r) => {
+        if (epochs && !(r.epoch >= epochs[0] && r.epoch <= epochs[1])) return false;
+        const at = Date.parse(r.at);
+        if (fromMs !== undefined && !(at >= fromMs)) return false;
+        if (toMs !== undefined && !(at < toMs)) return false;
+        if (validator && r.validator !== validator) return false;
+        if (status && r.status !== status) return false;
+        return true;
+    });
+}
+
+/* ---------------------------------- summary ---------------------------------- */
+
+/** Per validator and epoch: how many runs, the last proposal and what was submitted. */
+function proposalSeries(records) {
+    const groups = new Map();
+    for (const r of records) {
+        if (r.epoch === null || r.proposedRgpMist === null) continue;
+        const key = `${r.validator}\u0000${r.epoch}`;
+        const g = groups.get(key) ?? { validator: r.validator, epoch: r.epoch, runs: 0 };
+        if (r.trigger === 'run') g.runs++;
+        g.currentRgpMist = r.currentRgpMist;
+        g.proposedRgpMist = r.proposedRgpMist;
+        g.changePct = r.changePct;
+        if (r.status === 'submitted' || r.status === 'unverified') g.submittedRgpMist = r.proposedRgpMist;
+        g.lastStatus = r.status;
+        groups.set(key, g);
+    }
+    return [...groups.values()].sort((a, b) => a.epoch - b.epoch || String(a.validator).localeCompare(String(b.validator)));
+}
+
+/** Clamp hits and jitter count each computation once: approve/reject records repeat their run's calc. */
+function summarizeRecords(records) {
+    const computed = records.filter((r) => r.trigger === 'run' && r.calc);
+    const byStatus = {};
+    for (const r of records) byStatus[r.status] = (byStatus[r.status] ?? 0) + 1;
+
+    const clampHits = Object.fromEntries(CLAMP_HITS.map((h) => [h, computed.filter((r) => r.calc.clampHit === h).length]));
+    const hits = Object.values(clampHits).reduce((a, b) => a + b, 0);
+
+    const jitters = computed.map((r) => r.calc.jitter).filter(Number.isFinite);
+    const histogram = {};
+    for (const j of jitters) histogram[j] = (histogram[j] ?? 0) + 1;
+    const mean = jitters.length ? jitters.reduce((a, b) => a + b, 0) / jitters.length : NaN;
+
+    return {
+        runs: records.length,
+        byStatus,
+        proposals: proposalSeries(records),
+        clampHits: { computedRuns: computed.length, ...clampHits, hitRatePct: computed.length ? (hits / computed.length) * 100 : NaN },
+        jitter: {
+            draws: jitters.length,
+            mean,
+            stdDev: jitters.length ? Math.sqrt(jitters.reduce((s, j) => s + (j - mean) ** 2, 0) / jitters.length) : NaN,
+            min: jitters.length ? Math.min(...jitters) : NaN,
+            max: jitters.length ? Math.max(...jitters) : NaN,
+            histogram,
+        },
+    };
+}
+
+/* ------------------------------------ CLI ------------------------------------ */
+
+const FLAGS = ['epoch', 'from', 'to', 'validator', 'status', 'network'];
+const USAGE = 'usage: node src/auditLog.js [--epoch N|FROM-TO] [--from DATE] [--to DATE] [--validator NAME] [--status STATUS]';
+
+function parseFlags(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const m = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+        if (!m) throw new Error(`unexpected argument '${argv[i]}'\n${USAGE}`);
+        if (!FLAGS.includes(m[1])) throw new Error(`unknown flag --${m[1]} (expected: ${FLAGS.map((f) => `--${f}`).join(', ')})`);
+        const value = m[2] ?? argv[++i];
+        if (value === undefined) throw new Error(`--${m[1]} needs a value`);
+        flags[m[1]] = value;
+    }
+    return flags;
+}
+
+function parseDate(value, flag, { endOfDay = false } = {}) {
+    const ms = Date.parse(value);
+    if (!Number.isFinite(ms)) throw new Error(`--${flag}: not a date: ${value}`);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + DAY_MS : ms;
+}
+
+/** CLI flags → filterRecords() filters. */
+function parseFilters(argv = process.argv.slice(2)) {
+    const flags = parseFlags(argv);
+    const filters = {};
+    if (flags.epoch !== undefined) {
+        const m = flags.epoch.match(/^(\d+)(?:(?:-|\.\.)(\d+))?$/);
+        if (!m) throw new Error(`--epoch: expected N or FROM-TO, got ${flags.epoch}`);
+        filters.epochs = [Number(m[1]), Number(m[2] ?? m[1])];
+    }
+    if (flags.from !== undefined) filters.fromMs = parseDate(flags.from, 'from');
+    if (flags.to !== undefined) filters.toMs = parseDate(flags.to, 'to', { endOfDay: true });
+    if (flags.validator) filters.validator = flags.validator;
+    if (flags.status) filters.status = flags.status;
+    return filters;
+}
+
+const fixed = (v, digits) => (Number.isFinite(v) ? Number(v.toFixed(digits)) : 'N/A');
+
+async function main() {
+    const config = getConfig();
+    const file = auditLogFile(config);
+    const records = filterRecords(readAuditLog(file), parseFilters());
+    console.log(`\n=== Run history (${config.SUI_NETWORK}, ${file}): ${records.length} record(s) ===`);
+    if (!records.length) return;
+
+    console.table(records.map((r) => ({
+        at: r.at,
+        validator: r.validator ?? '-',
+        trigger: r.trigger,
+        epoch: r.epoch ?? 'N/A',
+        status: r.status,
+        currentRgp: r.currentRgpMist ?? 'N/A',
+        proposedRgp: r.proposedRgpMist ?? 'N/A',
+        clampHit: r.calc?.clampHit ?? '',
+        jitter: r.calc?.jitter ?? '',
+        txDigest: r.txDigest ?? '',
+        error: r.error ?? '',
+    })));
+
+    const summary = summarizeRecords(records);
+    console.log('\n=== Runs by status ===');
+    console.table([summary.byStatus]);
+
+    if (summary.proposals.length) {
+        console.log('\n=== Proposals per epoch ===');
+        console.table(summary.proposals.map((p) => ({
+            epoch: p.epoch,
+            validator: p.validator,
+            runs: p.runs,
+            currentRgp: p.currentRgpMist,
+            proposedRgp: p.proposedRgpMist,
+            changePct: fixed(p.changePct, 2),
+            submittedRgp: p.submittedRgpMist ?? '',
+            lastStatus: p.lastStatus,
+        })));
+    }
+
+    console.log('\n=== Clamp hits ===');
+    console.table([{ ...summary.clampHits, hitRatePct: fixed(summary.clampHits.hitRatePct, 2) }]);
+
+    const { histogram, ...jitter } = summary.jitter;
+    console.log('\n=== Jitter distribution ===');
+    console.table([{ ...jitter, mean: fixed(jitter.mean, 3), stdDev: fixed(jitter.stdDev, 3) }]);
+    const bins = Object.entries(histogram).sort((a, b) => Number(a[0]) - Number(b[0]));
+    if (bins.length) {
+        console.table(bins.map(([j, n]) => ({ jitter: Number(j), draws: n, pct: fixed((n / jitter.draws) * 100, 1) })));
+    }
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error('[audit]', e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    appendAuditRecord,
+    auditRun,
+    readAuditLog,
+    filterRecords,
+    summarizeRecords,
+};
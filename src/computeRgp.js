@@ -1,106 +1,113 @@
 /**
  * src/computeRgp.js
  *
- * Computes a proposed new RGP (referenceGasPrice, in MIST) using:
+ * Computes a proposed new RGP (referenceGasPrice, in MIST). The raw value comes from the
+ * configured strategy (RGP_STRATEGY, see strategies.js); the default is:
  *   R_raw = R_now * ( (p * T_target) / C_cur )
+ * Every strategy's R_raw then goes through the same guard rails, jitter, rounding and clamps.
  *
- * Jitter rules (env-driven via RGP_JITTER_RANGE='[5,5]'):
+ * Policy settings come from config.js (config file + env, validated there).
+ *
+ * Jitter rules (RGP_JITTER_RANGE='[-10,10]' → base magnitudes [10,10]):
  *   - Not at clamp: random integer in [-baseLow, +baseHigh], intersected with clamp band
  *   - At MIN clamp: random integer in [0, +baseHigh]
  *   - At MAX clamp: random integer in [-baseLow, 0]
+ * The draw behind it is Math.random() (RGP_JITTER_MODE=random) or, with RGP_JITTER_MODE=seeded,
+ * derived from sha256("<seed>:<epoch>") where the seed is RGP_JITTER_SEED or else the validator
+ * address: re-running an epoch then gives the same jitter. calc records the source, seed and draw.
+ * Random draws are part of a fixture recording, so a replay reuses them (fixtures.js).
  *
  * NOTE: This function prints the **Inputs table BEFORE** running the calculation.
  * It does NOT push metrics or perform on-chain updates.
  */
 
-require('dotenv').config();
+const crypto = require('crypto');
 const { collectMetrics } = require('./metrics');
+const { getStrategy } = require('./strategies');
+const { getConfig, coerceSetting, defaultSetting, POLICY_SETTINGS } = require('./config');
+const { recordedValue } = require('./fixtures');
 
 /* ----------------------------- helpers ----------------------------- */
 
-function parseNumberEnv(name, def = undefined) {
-    const v = process.env[name];
-    if (v === undefined) return def;
-    const n = Number(v);
-    return Number.isFinite(n) ? n : def;
-}
-
-function parseBoolEnv(name, def = false) {
-    const v = (process.env[name] || '').toLowerCase().trim();
-    if (['1','true','yes','on'].includes(v)) return true;
-    if (['0','false','no','off'].includes(v)) return false;
-    return def;
-}
-
-function parseGuardRailsEnv(name = 'RGP_GUARD_RAILS', def = [-40, 40]) {
-    try {
-        const raw = process.env[name];
-        if (!raw) return def;
-        const arr = JSON.parse(raw);
-        if (!Array.isArray(arr) || arr.length !== 2) return def;
-        const low = Number(arr[0]);
-        const high = Number(arr[1]);
-        if (!Number.isFinite(low) || !Number.isFinite(high)) return def;
-        return [low, high];
-    } catch {
-        return def;
-    }
-}
+const DEFAULT_GUARD_RAILS = defaultSetting('RGP_GUARD_RAILS');
+const DEFAULT_ROUND_STEP = defaultSetting('RGP_ROUND_STEP');
+const DEFAULT_JITTER = jitterMagnitudes(defaultSetting('RGP_JITTER_RANGE'));
 
-/** Parse jitter base magnitudes (non-negative ints) from env JSON, default [-5,5]. */
-function parseJitterRangeEnv(name = 'RGP_JITTER_RANGE', def = [-5, 5]) {
-    try {
-        const raw = process.env[name];
-        if (!raw) return def;
-        const arr = JSON.parse(raw);
-        if (!Array.isArray(arr) || arr.length !== 2) return def;
-        let a = Math.max(0, Math.floor(Number(arr[0]))); // baseLow magnitude
-        let b = Math.max(0, Math.floor(Number(arr[1]))); // baseHigh magnitude
-        if (!Number.isFinite(a) || !Number.isFinite(b)) return def;
-        return [a, b];
-    } catch {
-        return def;
-    }
+/** Signed jitter range [low, high] (low <= 0 <= high) → base magnitudes [baseLow, baseHigh]. */
+function jitterMagnitudes([low, high]) {
+    return [Math.abs(low), high];
 }
 
-function roundToStep(x, step = 10) {
+function roundToStep(x, step = DEFAULT_ROUND_STEP) {
     if (!Number.isFinite(x) || step <= 0) return x;
     return Math.round(x / step) * step;
 }
 
+/** A null (or undefined) bound is no bound: disabled guard rails leave x as it is. */
 function clamp(x, lo, hi) {
-    if (lo !== undefined && x < lo) return lo;
-    if (hi !== undefined && x > hi) return hi;
+    if (lo != null && x < lo) return lo;
+    if (hi != null && x > hi) return hi;
     return x;
 }
 
+/** Deterministic draw in [0, 1): the first 48 bits of sha256("<seed>:<epoch>"). */
+function seededDraw(seed, epoch) {
+    const hash = crypto.createHash('sha256').update(`${seed}:${epoch}`).digest();
+    return hash.readUIntBE(0, 6) / 2 ** 48;
+}
+
+/**
+ * Where the jitter draw comes from.
+ * @returns {{ source: 'random'|'seed'|'validator', seed: string|null, draw: number }}  draw in [0, 1)
+ */
+function jitterDraw({ jitterMode = 'random', jitterSeed = null, ourAddress = null, epoch = null }) {
+    if (jitterMode !== 'seeded') return { source: 'random', seed: null, draw: recordedValue('jitter', Math.random) };
+    if (!Number.isInteger(epoch)) throw new Error('RGP_JITTER_MODE=seeded needs the epoch to derive the jitter from');
+    const [source, seed] = jitterSeed ? ['seed', String(jitterSeed)]
+        : ourAddress ? ['validator', String(ourAddress).toLowerCase()]
+        : [null, null];
+    if (!source) throw new Error('RGP_JITTER_MODE=seeded needs RGP_JITTER_SEED or the validator address');
+    return { source, seed, draw: seededDraw(seed, epoch) };
+}
+
 /* ----------------------------- core computation ----------------------------- */
 
+/**
+ * options.strategy / options.strategyParams pick the raw proposal (default 'usd_target');
+ * options.peers / options.ourAddress feed strategies that track the validator survey.
+ * options.jitterMode / options.jitterSeed / options.epoch pick the jitter draw (see jitterDraw()).
+ */
 function computeNewRgpFromInputs(targetAvgTxUsd, compShare, compCostUsd, currentRgp, options) {
-    if (!Number.isFinite(targetAvgTxUsd) || targetAvgTxUsd <= 0) {
-        throw new Error('Invalid TARGET_AVG_TX_USD (must be a positive number)');
-    }
-    if (!Number.isFinite(compShare) || compShare <= 0 || compShare > 1) {
-        throw new Error('Invalid avgCompShare (must be in (0,1])');
-    }
-    if (!Number.isFinite(compCostUsd) || compCostUsd <= 0) {
-        throw new Error('Invalid avgComputationCostPerTx_USD (must be > 0)');
-    }
     if (!Number.isFinite(currentRgp) || currentRgp <= 0) {
         throw new Error('Invalid current RGP (must be > 0)');
     }
 
-    const { guardRailsEnabled, guardRailsPct, roundStep, minRgpMist, maxRgpMist, jitterRange } = options;
+    const {
+        guardRailsEnabled, guardRailsPct, roundStep, minRgpMist, maxRgpMist, jitterRange,
+        strategy: strategyName = 'usd_target', strategyParams = {}, peers = null, ourAddress = null,
+        jitterMode = 'random', jitterSeed = null, epoch = null,
+    } = options;
 
-    const C_target = compShare * targetAvgTxUsd;    // desired computation USD
-    const k = C_target / compCostUsd;               // scale factor
-    const R_raw = currentRgp * k;                   // raw proposed RGP
+    const strategy = getStrategy(strategyName);
+    if (strategy.needsPeers && !Array.isArray(peers)) {
+        throw new Error(`Strategy '${strategy.name}' needs validator survey data (peers)`);
+    }
+    const proposal = strategy.propose(
+        { targetAvgTxUsd, compShare, compCostUsd, currentRgp, peers, ourAddress },
+        strategyParams
+    );
+    const R_raw = proposal.R_raw;                   // raw proposed RGP
+    if (!Number.isFinite(R_raw) || R_raw <= 0) {
+        throw new Error(`Strategy '${strategy.name}' produced an invalid raw RGP: ${R_raw}`);
+    }
+    const C_target = proposal.details.C_target ?? null; // desired computation USD (usd_target only)
+    const k = R_raw / currentRgp;                   // scale factor
 
     // Guard rails (relative to current RGP):
     let clampMin = null, clampMax = null;
     if (guardRailsEnabled) {
-        const lowPct = guardRailsPct?.[0] ?? -20;
-        const highPct = guardRailsPct?.[1] ?? 40;
+        const lowPct = guardRailsPct?.[0] ?? DEFAULT_GUARD_RAILS[0];
+        const highPct = guardRailsPct?.[1] ?? DEFAULT_GUARD_RAILS[1];
         clampMin = currentRgp * (1 + lowPct / 100);
         clampMax = currentRgp * (1 + highPct / 100);
     }
@@ -108,17 +115,26 @@ function computeNewRgpFromInputs(targetAvgTxUsd, compShare, compCostUsd, current
     // Apply relative rails
     const R_clamped = clamp(R_raw, clampMin, clampMax);
 
-    // Choose jitter from env base magnitudes
-    const [baseLow, baseHigh] = jitterRange || [5, 5];
-    const drawn = chooseJitter(R_clamped, clampMin, clampMax, baseLow, baseHigh);
+    // Choose jitter from the base magnitudes
+    const [baseLow, baseHigh] = jitterRange || DEFAULT_JITTER;
+    const source = jitterDraw({ jitterMode, jitterSeed, ourAddress, epoch });
+    const drawn = chooseJitter(R_clamped, clampMin, clampMax, baseLow, baseHigh, source.draw);
 
     // Apply jitter → round → absolute min/max
     let R_afterJitter = R_clamped + drawn;
-    let R_final = roundToStep(R_afterJitter, roundStep);
+    const R_rounded = roundToStep(R_afterJitter, roundStep);
+    let R_final = R_rounded;
     if (Number.isFinite(minRgpMist)) R_final = Math.max(R_final, minRgpMist);
     if (Number.isFinite(maxRgpMist)) R_final = Math.min(R_final, maxRgpMist);
     R_final = Math.max(1, Math.round(R_final));
 
+    // Which limit (if any) shaped the final value: relative rails first, then absolute min/max
+    let clampHit = '';
+    if (clampMax != null && R_raw > clampMax) clampHit = 'max';
+    else if (clampMin != null && R_raw < clampMin) clampHit = 'min';
+    else if (Number.isFinite(maxRgpMist) && R_rounded > maxRgpMist) clampHit = 'abs_max';
+    else if (Number.isFinite(minRgpMist) && R_rounded < minRgpMist) clampHit = 'abs_min';
+
     return {
         inputs: {
             targetAvgTxUsd,
@@ -126,21 +142,31 @@ function computeNewRgpFromInputs(targetAvgTxUsd, compShare, compCostUsd, current
             compCostUsd,
             currentRgp,
             guardRailsEnabled: !!guardRailsEnabled,
-            guardRailsPct: guardRailsPct ?? [-20, 40],
-            roundStep: Number.isFinite(roundStep) && roundStep > 0 ? roundStep : 10,
+            guardRailsPct: guardRailsPct ?? DEFAULT_GUARD_RAILS,
+            roundStep: Number.isFinite(roundStep) && roundStep > 0 ? roundStep : DEFAULT_ROUND_STEP,
             minRgpMist: Number.isFinite(minRgpMist) ? minRgpMist : null,
             maxRgpMist: Number.isFinite(maxRgpMist) ? maxRgpMist : null,
             jitterRange: [baseLow, baseHigh],
+            jitterMode: jitterMode === 'seeded' ? 'seeded' : 'random',
+            strategy: strategy.name,
+            strategyParams,
         },
         calc: {
+            strategy: strategy.name,
+            strategyDetails: proposal.details,
             C_target,
             k,
             R_raw,
             clampMin,
             clampMax,
             R_clamped,
+            jitterSource: source.source, // 'random' | 'seed' | 'validator'
+            jitterSeed: source.seed,
+            jitterDraw: source.draw,     // in [0, 1), mapped onto the allowed jitter range
             jitter: drawn,
+            R_rounded,
             R_final,
+            clampHit,           // '' | 'min' | 'max' | 'abs_min' | 'abs_max'
         },
         proposedRgpMist: R_final,
     };
@@ -148,10 +174,11 @@ function computeNewRgpFromInputs(targetAvgTxUsd, compShare, compCostUsd, current
 
 /**
  * Choose jitter based on clamp state and base magnitudes.
- *   baseLow, baseHigh are non-negative integers (e.g., [5,5]).
+ *   baseLow, baseHigh are non-negative integers (e.g., [10,10]).
+ *   draw is a number in [0, 1) that picks the integer within the allowed range.
  */
-function chooseJitter(R_clamped, clampMin, clampMax, baseLow, baseHigh) {
-    const randInt = (a, b) => Math.floor(Math.random() * (b - a + 1)) + a;
+function chooseJitter(R_clamped, clampMin, clampMax, baseLow, baseHigh, draw = Math.random()) {
+    const randInt = (a, b) => Math.floor(draw * (b - a + 1)) + a;
 
     // No rails → full base range
     if (clampMin == null || clampMax == null) {
@@ -177,25 +204,67 @@ function chooseJitter(R_clamped, clampMin, clampMax, baseLow, baseHigh) {
     return randInt(lo, hi);
 }
 
+/* ------------------------------- policy ------------------------------- */
+
+/**
+ * The RGP policy knobs from config, with optional per-validator overrides (keys of
+ * POLICY_SETTINGS, validated like the setting they replace).
+ * Shared by computeRgp() and the backtest simulator so both apply the same policy.
+ *
+ * jitterRange is returned as base magnitudes [baseLow, baseHigh].
+ */
+function readRgpPolicy(overrides = {}, config = getConfig()) {
+    const policy = {};
+    for (const [field, setting] of Object.entries(POLICY_SETTINGS)) {
+        policy[field] = overrides[field] !== undefined
+            ? coerceSetting(setting, overrides[field], `policy.${field}`)
+            : config[setting];
+    }
+    policy.jitterRange = jitterMagnitudes(policy.jitterRange);
+    return policy;
+}
+
 /* ----------------------------- top-level API ----------------------------- */
 
-async function computeRgp() {
+/**
+ * @param {Object} [opts]
+ * @param {Object} [opts.metrics]           A collectMetrics() payload to reuse (fetched if omitted)
+ * @param {Object} [opts.policyOverrides]   Per-validator overrides of readRgpPolicy() fields
+ * @param {Array<Object>} [opts.peers]      Validator survey rows (fetched from RPC_URL if a strategy needs them)
+ * @param {string} [opts.ourAddress]        Our validator address, excluded from peer quotes
+ */
+async function computeRgp({ metrics = null, policyOverrides = {}, peers = null, ourAddress = null } = {}) {
     // 1) Load metrics
-    const payload = await collectMetrics();
+    const payload = metrics ?? await collectMetrics();
     const o = payload?.overallForRgp || {};
     const currentRgp = o.lastEpochReferenceGasPrice;
     const compShare = o.avgCompShare;
     const compCostUsd = o.avgComputationCostPerTx_USD;
     const epoch = payload?.latestEpoch?.epochId ?? null;
+    const aggregation = o.aggregation ?? null;
 
-    // 2) Read env config
-    const targetAvgTxUsd    = parseNumberEnv('TARGET_AVG_TX_USD', NaN); // REQUIRED
-    const guardRailsEnabled = parseBoolEnv('RGP_GUARD_RAILS_ENABLED', true);
-    const guardRailsPct     = parseGuardRailsEnv('RGP_GUARD_RAILS', [-40, 40]);
-    const roundStep         = parseNumberEnv('RGP_ROUND_STEP', 1);
-    const minRgpMist        = parseNumberEnv('RGP_MIN_MIST', undefined);
-    const maxRgpMist        = parseNumberEnv('RGP_MAX_MIST', undefined);
-    const jitterRange       = parseJitterRangeEnv('RGP_JITTER_RANGE', [-10,10]);
+    // 2) Read policy config (+ per-validator overrides)
+    const config = getConfig();
+    const {
+        targetAvgTxUsd,
+        guardRailsEnabled,
+        guardRailsPct,
+        roundStep,
+        minRgpMist,
+        maxRgpMist,
+        jitterRange,
+        jitterMode,
+        jitterSeed,
+        strategy,
+        strategyParams,
+    } = readRgpPolicy(policyOverrides, config);
+
+    if (getStrategy(strategy).needsPeers && !Array.isArray(peers)) {
+        const rpc = config.RPC_URL;
+        if (!rpc) throw new Error(`Strategy '${strategy}' needs RPC_URL to survey validator quotes`);
+        const { fetchValidatorSurvey } = require('./validatorSurvey'); // loads the Sui SDK only when needed
+        peers = (await fetchValidatorSurvey(rpc)).validators;
+    }
 
     // 3) Build the INPUTS object and print it BEFORE calculation
     const preInputs = {
@@ -210,14 +279,20 @@ async function computeRgp() {
         minRgpMist: Number.isFinite(minRgpMist) ? minRgpMist : null,
         maxRgpMist: Number.isFinite(maxRgpMist) ? maxRgpMist : null,
         jitterRange,
+        jitterMode,
+        strategy,
+        strategyParams,
     };
 
     console.log('\n=== RGP Calculation Inputs ===');
     console.table([{
         epoch: preInputs.epoch,
+        strategy: preInputs.strategy,
         targetAvgTxUsd: preInputs.targetAvgTxUsd,
         compShare: preInputs.compShare,
+        compShareAgg: aggregation?.compShare ?? 'N/A',
         compCostUsd: preInputs.compCostUsd,
+        compCostAgg: aggregation?.compCostUsd ?? 'N/A',
         currentRgp: preInputs.currentRgp,
         guardRailsEnabled: preInputs.guardRailsEnabled,
         guardRailsPct: JSON.stringify(preInputs.guardRailsPct),
@@ -225,6 +300,7 @@ async function computeRgp() {
         minRgpMist: preInputs.minRgpMist,
         maxRgpMist: preInputs.maxRgpMist,
         jitterRange: JSON.stringify(preInputs.jitterRange),
+        jitterMode: preInputs.jitterMode,
     }]);
 
     // 4) Run the calculation
@@ -240,6 +316,13 @@ async function computeRgp() {
             minRgpMist: preInputs.minRgpMist ?? undefined,
             maxRgpMist: preInputs.maxRgpMist ?? undefined,
             jitterRange: preInputs.jitterRange,
+            strategy: preInputs.strategy,
+            strategyParams: preInputs.strategyParams,
+            peers,
+            ourAddress: ourAddress || config.VALIDATOR_ADDRESS || null,
+            jitterMode,
+            jitterSeed,
+            epoch,
         }
     );
 
@@ -247,7 +330,7 @@ async function computeRgp() {
     return {
         epoch,
         proposedRgpMist: result.proposedRgpMist,
-        inputs: result.inputs,
+        inputs: { ...result.inputs, aggregation },
         calc: result.calc,
     };
 }
@@ -255,4 +338,5 @@ async function computeRgp() {
 module.exports = {
     computeRgp,
     computeNewRgpFromInputs,
+    readRgpPolicy,
 };
\ No newline at end of file
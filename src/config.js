@@ -0,0 +1,592 @@
+/**
+ * config.js
+ *
+ * The one place settings are read and validated.
+ *
+ * Sources, lowest to highest precedence:
+ *   1) schema default (SCHEMA below; some depend on the network, see networks.js)
+ *   2) config file    - CONFIG_FILE=./rgp.config.yaml (.yaml/.yml → YAML, anything else → JSON)
+ *   3) environment    - process.env (and .env via dotenv); a blank value counts as unset
+ *
+ * File keys are the same names as the env vars, e.g.
+ *   TARGET_AVG_TX_USD: 0.004
+ *   RGP_GUARD_RAILS: [-40, 40]
+ *   PRICE_PROVIDERS: [coingecko, kline]
+ *
+ * Networks: SUI_NETWORK (or `--network <name>` on the command line, which wins) selects the
+ * network. Any setting can then be given for one network only as <NETWORK>_<NAME>, e.g.
+ * MAINNET_RPC_URL or TESTNET_TARGET_AVG_TX_USD; within env and within the file it beats the
+ * plain name, and other networks' keys are ignored. The file may also group them:
+ *   networks:
+ *     testnet: { RPC_URL: https://…, TARGET_AVG_TX_USD: 0.01 }
+ *
+ * Every value is checked against its schema entry; a bad value (or an unknown key in the
+ * file) throws with the setting name, where it came from and what was expected. Nothing
+ * silently falls back to a default. Private keys are never settings: they are read from
+ * the env var a validator entry names (see validators.js).
+ *
+ * Cross-setting rules (a required target for usd_target, deadline > delay, credentials when
+ * submitting, …) are reported by checkConfig() and enforced by the runner at startup.
+ *
+ * Print the resolved configuration and where each value came from:
+ *   node src/config.js   (npm run validate-config)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const { METHODS } = require('./aggregate');
+const { STRATEGIES } = require('./strategies');
+const { NETWORK_NAME, networkProfile, networkPrefix } = require('./networks');
+
+/* ---------------------------------- schema ----------------------------------- */
+
+const pctRange = (v) => (v[0] <= 0 && v[1] >= 0) || 'must be [down_pct, up_pct] with down_pct <= 0 <= up_pct';
+const jitterRange = (v) =>
+    (Number.isInteger(v[0]) && Number.isInteger(v[1]) && v[0] <= 0 && v[1] >= 0) ||
+    'must be integers [low, high] with low <= 0 <= high, e.g. [-10, 10]';
+
+const urlList = (v) => v.every((u) => /^https?:\/\//.test(u)) || 'every entry must be an http(s) URL';
+const profileUrl = (field) => (network) => (networkProfile(network) ? [networkProfile(network)[field]] : null);
+const objectId = (what) => (v) => v.startsWith('0x') || `must be a 0x-prefixed ${what}`;
+const isoDate = (v) => Number.isFinite(Date.parse(v)) || 'must be a date (YYYY-MM-DD) or an ISO timestamp';
+
+const NOTIFY_EVENTS = ['submitted', 'error', 'clamp_hit', 'approval_pending'];
+const WEBHOOK_FORMATS = ['generic', 'slack', 'discord', 'telegram'];
+function checkWebhooks(hooks) {
+    for (const [i, h] of hooks.entries()) {
+        const where = `webhook #${i + 1}`;
+        if (!h || typeof h !== 'object') return `${where} must be an object`;
+        if (typeof h.url !== 'string' || !/^https?:\/\//.test(h.url)) return `${where}: 'url' must be an http(s) URL`;
+        if (!WEBHOOK_FORMATS.includes(h.format ?? 'generic')) return `${where}: 'format' must be one of ${WEBHOOK_FORMATS.join(', ')}`;
+        if (h.format === 'telegram' && h.chatId == null) return `${where}: telegram needs 'chatId'`;
+        const bad = (h.events ?? []).filter((e) => !NOTIFY_EVENTS.includes(e));
+        if (bad.length) return `${where}: unknown event(s) ${bad.join(', ')} (expected: ${NOTIFY_EVENTS.join(', ')})`;
+    }
+    return true;
+}
+
+function checkMultisigKeys(keys) {
+    for (const [i, k] of keys.entries()) {
+        const where = `key #${i + 1}`;
+        if (!k || typeof k.publicKey !== 'string') return `${where}: 'publicKey' (base64 flag + key) is required`;
+        if (!Number.isInteger(k.weight) || k.weight < 1 || k.weight > 255) return `${where}: 'weight' must be an integer 1..255`;
+    }
+    return true;
+}
+
+/**
+ * type: number | bool | string | enum | list | json | array | pair
+ *   number : min / max (inclusive), gt (exclusive), integer
+ *   enum   : values (array, or a function returning one)
+ *   list   : comma-separated string or array, lowercased unless `keepCase`; optional `values` restricts items
+ *   json   : a JSON object (string in env, object in the file)
+ *   array  : a JSON array (string in env, array in the file)
+ *   pair   : two numbers (JSON array string in env, array in the file); optional `check`
+ * `default: null` means unset unless configured; a function default is called with the network.
+ * `aliases` are older names still read; `perNetwork: false` disables <NETWORK>_<NAME>.
+ */
+const SCHEMA = [
+    // network
+    { name: 'SUI_NETWORK', section: 'network', type: 'string', perNetwork: false, check: (v) => NETWORK_NAME.test(v) || 'must be lowercase letters and digits, e.g. mainnet, testnet, devnet, localnet', default: 'mainnet' },
+    { name: 'EXPLORER_TX_URL', section: 'network', type: 'string', check: (v) => v.includes('{digest}') || "must contain '{digest}'", default: (network) => networkProfile(network)?.explorerTxUrl ?? null },
+
+    // core target
+    { name: 'TARGET_AVG_TX_USD', section: 'policy', type: 'number', gt: 0, default: null },
+
+    // pricing strategy & guard rails
+    { name: 'RGP_STRATEGY', section: 'policy', type: 'enum', values: () => Object.keys(STRATEGIES), default: 'usd_target' },
+    { name: 'RGP_STRATEGY_PARAMS', section: 'policy', type: 'json', default: {} },
+    { name: 'RGP_GUARD_RAILS_ENABLED', section: 'policy', type: 'bool', default: true },
+    { name: 'RGP_GUARD_RAILS', section: 'policy', type: 'pair', check: pctRange, default: [-40, 40] },
+    { name: 'RGP_ROUND_STEP', section: 'policy', type: 'number', gt: 0, default: 1 },
+    { name: 'RGP_MIN_MIST', section: 'policy', type: 'number', min: 1, default: null },
+    { name: 'RGP_MAX_MIST', section: 'policy', type: 'number', min: 1, default: null },
+    { name: 'RGP_JITTER_RANGE', section: 'policy', type: 'pair', check: jitterRange, default: [-10, 10] },
+    { name: 'RGP_JITTER_MODE', section: 'policy', type: 'enum', values: ['random', 'seeded'], default: 'random' },
+    { name: 'RGP_JITTER_SEED', section: 'policy', type: 'string', default: null },
+
+    // metrics, aggregation & anomalies
+    { name: 'GRAPHQL_URL', section: 'metrics', aliases: ['SUI_GRAPHQL_URL'], type: 'list', keepCase: true, check: urlList, default: profileUrl('graphqlUrl') },
+    { name: 'METRICS_OUT_JSON', section: 'metrics', type: 'string', default: null },
+    { name: 'METRICS_WINDOW_EPOCHS', section: 'metrics', type: 'number', integer: true, gt: 0, default: 28 },
+    { name: 'METRICS_WINDOW_FROM', section: 'metrics', type: 'string', check: isoDate, default: null },
+    { name: 'METRICS_WINDOW_TO', section: 'metrics', type: 'string', check: isoDate, default: null },
+    { name: 'METRICS_CURRENT_EPOCH', section: 'metrics', type: 'enum', values: ['include', 'exclude'], default: 'include' },
+    { name: 'RGP_AGG_COMP_SHARE', section: 'metrics', type: 'enum', values: METHODS, default: 'mean' },
+    { name: 'RGP_AGG_COMP_COST_USD', section: 'metrics', type: 'enum', values: METHODS, default: 'mean' },
+    { name: 'RGP_AGG_EWMA_HALF_LIFE', section: 'metrics', type: 'number', gt: 0, default: 7 },
+    { name: 'RGP_AGG_TRIM_PCT', section: 'metrics', type: 'number', min: 0, max: 49.999, default: 10 },
+    { name: 'ANOMALY_MODE', section: 'metrics', type: 'enum', values: ['off', 'flag', 'exclude'], default: 'flag' },
+    { name: 'ANOMALY_Z_THRESHOLD', section: 'metrics', type: 'number', gt: 0, default: 3.5 },
+    { name: 'ANOMALY_MAX_FRACTION', section: 'metrics', type: 'number', min: 0, max: 1, default: null },
+
+    // price providers
+    { name: 'PRICE_PROVIDERS', section: 'prices', type: 'list', values: () => Object.keys(require('./priceProviders').PROVIDERS), default: ['coingecko'] },
+    { name: 'PRICE_AGGREGATION', section: 'prices', type: 'enum', values: ['fallback', 'median'], default: 'fallback' },
+    { name: 'PRICE_COINGECKO_URL', section: 'prices', type: 'string', default: 'https://api.coingecko.com/api/v3' },
+    { name: 'PRICE_COINGECKO_COIN_ID', section: 'prices', type: 'string', default: 'sui' },
+    { name: 'PRICE_COINGECKO_API_KEY', section: 'prices', type: 'string', secret: true, default: null },
+    { name: 'PRICE_COINGECKO_API_KEY_HEADER', section: 'prices', type: 'string', default: 'x-cg-demo-api-key' },
+    { name: 'PRICE_KLINE_URL', section: 'prices', type: 'string', default: 'https://api.binance.com/api/v3/klines?symbol=SUIUSDT&interval=1d' },
+    { name: 'PRICE_PYTH_URL', section: 'prices', type: 'string', default: 'https://benchmarks.pyth.network/v1/shims/tradingview/history' },
+    { name: 'PRICE_PYTH_SYMBOL', section: 'prices', type: 'string', default: 'Crypto.SUI/USD' },
+    { name: 'PRICE_FILE_PATH', section: 'prices', type: 'string', default: null },
+
+    // runner & scheduler
+    { name: 'UPDATE_ONCHAIN', section: 'runner', type: 'bool', default: false },
+    { name: 'DRY_RUN', section: 'runner', type: 'bool', default: false },
+    { name: 'FORCE_RUN', section: 'runner', type: 'bool', default: false },
+    { name: 'CRON_ENABLED', section: 'runner', type: 'bool', default: true },
+    { name: 'CRON_SCHEDULE', section: 'runner', type: 'string', check: (v) => require('node-cron').validate(v) || 'is not a valid cron expression', default: '30 18 * * *' },
+    { name: 'SCHEDULER_MODE', section: 'runner', type: 'enum', values: ['cron', 'epoch'], default: 'cron' },
+    { name: 'SCHEDULER_POLL_SECONDS', section: 'runner', type: 'number', gt: 0, default: 60 },
+    { name: 'SCHEDULER_DELAY_MINUTES', section: 'runner', type: 'number', min: 0, default: 10 },
+    { name: 'SCHEDULER_DEADLINE_MINUTES', section: 'runner', type: 'number', gt: 0, default: 360 },
+    { name: 'SCHEDULER_MAX_ATTEMPTS', section: 'runner', type: 'number', integer: true, gt: 0, default: 5 },
+    { name: 'SCHEDULER_RETRY_DELAY_MINUTES', section: 'runner', type: 'number', gt: 0, default: 5 },
+    { name: 'RUN_STATE_FILE', section: 'runner', type: 'string', default: (network) => (network === 'mainnet' ? './rgp-state.json' : `./rgp-state.${network}.json`) },
+    { name: 'AUDIT_LOG_ENABLED', section: 'runner', type: 'bool', default: true },
+    { name: 'AUDIT_LOG_FILE', section: 'runner', type: 'string', default: (network) => (network === 'mainnet' ? './rgp-audit.jsonl' : `./rgp-audit.${network}.jsonl`) },
+    { name: 'REPORT_DIR', section: 'runner', type: 'string', default: null },
+    { name: 'REPORT_FORMATS', section: 'runner', type: 'list', values: ['markdown', 'html'], default: ['markdown'] },
+
+    // validators & chain access
+    { name: 'RPC_URL', section: 'chain', type: 'list', keepCase: true, check: urlList, default: profileUrl('rpcUrl') },
+    { name: 'OPERATION_CAP_ID', section: 'chain', type: 'string', check: objectId('object id'), default: null },
+    { name: 'GAS_BUDGET', section: 'chain', type: 'number', integer: true, gt: 0, default: 10_000_000 },
+    { name: 'GAS_BUDGET_MODE', section: 'chain', type: 'enum', values: ['fixed', 'auto'], default: 'fixed' },
+    { name: 'GAS_BUDGET_MARGIN_PCT', section: 'chain', type: 'number', min: 0, default: 20 },
+    { name: 'VALIDATOR_ADDRESS', section: 'chain', type: 'string', default: null },
+    { name: 'SIGNER_ADDRESS', section: 'chain', type: 'string', check: objectId('address'), default: null },
+    { name: 'SUI_KEYSTORE_PATH', section: 'chain', type: 'string', default: '~/.sui/sui_config/sui.keystore' },
+    { name: 'VALIDATORS_FILE', section: 'chain', type: 'string', default: null },
+    { name: 'VALIDATORS', section: 'chain', type: 'array', default: null },
+
+    // record / replay of a run's inputs (fixtures.js)
+    { name: 'FIXTURE_MODE', section: 'fixtures', type: 'enum', values: ['off', 'record', 'replay'], default: 'off' },
+    { name: 'FIXTURE_DIR', section: 'fixtures', type: 'string', default: (network) => (network === 'mainnet' ? './fixtures' : `./fixtures/${network}`) },
+
+    // retry / failover (GraphQL and fullnode RPC)
+    { name: 'RETRY_ATTEMPTS', section: 'retry', type: 'number', integer: true, min: 1, default: 5 },
+    { name: 'RETRY_BASE_DELAY_MS', section: 'retry', type: 'number', min: 0, default: 500 },
+    { name: 'RETRY_MAX_DELAY_MS', section: 'retry', type: 'number', min: 0, default: 8000 },
+    { name: 'RETRY_BUDGET_MS', section: 'retry', type: 'number', gt: 0, default: 60000 },
+
+    // offline signing / multisig
+    { name: 'SIGNING_MODE', section: 'signing', type: 'enum', values: ['key', 'offline'], default: 'key' },
+    { name: 'OFFLINE_TX_DIR', section: 'signing', type: 'string', default: (network) => (network === 'mainnet' ? './offline-tx' : `./offline-tx/${network}`) },
+    { name: 'MULTISIG_PUBLIC_KEYS', section: 'signing', type: 'array', check: checkMultisigKeys, default: [] },
+    { name: 'MULTISIG_THRESHOLD', section: 'signing', type: 'number', integer: true, gt: 0, default: null },
+
+    // survey
+    { name: 'SURVEY_ENABLED', section: 'survey', type: 'bool', default: true },
+    { name: 'SURVEY_PROPOSAL', section: 'survey', type: 'number', gt: 0, default: null },
+
+    // backtest
+    { name: 'SIM_EPOCHS', section: 'backtest', type: 'number', integer: true, gt: 0, default: 180 },
+    { name: 'SIM_WINDOW', section: 'backtest', type: 'number', integer: true, gt: 0, default: 28 },
+    { name: 'SIM_OUT_CSV', section: 'backtest', type: 'string', default: null },
+    { name: 'SIM_OUT_JSON', section: 'backtest', type: 'string', default: null },
+
+    // status server
+    { name: 'STATUS_SERVER_ENABLED', section: 'status', type: 'bool', default: false },
+    { name: 'STATUS_SERVER_HOST', section: 'status', type: 'string', default: '127.0.0.1' },
+    { name: 'STATUS_SERVER_PORT', section: 'status', type: 'number', integer: true, min: 1, max: 65535, default: 9464 },
+    { name: 'STATUS_MAX_RUN_AGE_MINUTES', section: 'status', type: 'number', gt: 0, default: 1560 },
+    { name: 'STATUS_PROPOSAL_MIN_INTERVAL_SECONDS', section: 'status', type: 'number', min: 0, default: 60 },
+
+    // approval gate
+    { name: 'APPROVAL_THRESHOLD_PCT', section: 'approval', type: 'number', min: 0, default: null },
+    { name: 'APPROVAL_TOKEN', section: 'approval', type: 'string', secret: true, default: null },
+
+    // notifications
+    { name: 'NOTIFY_WEBHOOKS', section: 'notify', type: 'array', secret: true, check: checkWebhooks, default: [] },
+    { name: 'NOTIFY_EVENTS', section: 'notify', type: 'list', values: NOTIFY_EVENTS, default: [...NOTIFY_EVENTS] },
+
+    // monitoring
+    { name: 'PUSHGATEWAY_URL', section: 'monitoring', type: 'string', default: null },
+    { name: 'PUSHGATEWAY_AUTH_HEADER', section: 'monitoring', type: 'string', secret: true, default: null },
+    { name: 'PUSHGATEWAY_JOB', section: 'monitoring', type: 'string', default: 'platform' },
+    { name: 'PUSHGATEWAY_LABELS', section: 'monitoring', type: 'json', default: { project: 'sui', type: 'ui', subtype: 'rgp' } },
+    { name: 'PUSHGATEWAY_GROUPING', section: 'monitoring', type: 'list', default: [] },
+    { name: 'PUSHGATEWAY_METHOD', section: 'monitoring', type: 'enum', values: ['add', 'replace'], default: 'add' },
+];
+
+const BY_NAME = new Map(SCHEMA.map((s) => [s.name, s]));
+const BY_KEY = new Map(SCHEMA.flatMap((s) => [s.name, ...(s.aliases ?? [])].map((k) => [k, s])));
+
+/**
+ * Per-validator policy fields (validators.js `policy`) and the setting each one overrides.
+ */
+const POLICY_SETTINGS = {
+    targetAvgTxUsd: 'TARGET_AVG_TX_USD',
+    guardRailsEnabled: 'RGP_GUARD_RAILS_ENABLED',
+    guardRailsPct: 'RGP_GUARD_RAILS',
+    roundStep: 'RGP_ROUND_STEP',
+    minRgpMist: 'RGP_MIN_MIST',
+    maxRgpMist: 'RGP_MAX_MIST',
+    jitterRange: 'RGP_JITTER_RANGE',
+    jitterMode: 'RGP_JITTER_MODE',
+    jitterSeed: 'RGP_JITTER_SEED',
+    strategy: 'RGP_STRATEGY',
+    strategyParams: 'RGP_STRATEGY_PARAMS',
+};
+
+/* --------------------------------- coercion ---------------------------------- */
+
+function parseJsonText(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        throw new Error(`not valid JSON (${e.message})`);
+    }
+}
+
+function toNumber(raw) {
+    const n = typeof raw === 'number' ? raw : typeof raw === 'string' && raw.trim() !== '' ? Number(raw.trim()) : NaN;
+    if (!Number.isFinite(n)) throw new Error(`expected a number, got ${JSON.stringify(raw)}`);
+    return n;
+}
+
+function coerceRaw(spec, raw) {
+    switch (spec.type) {
+        case 'number': {
+            const n = toNumber(raw);
+            if (spec.integer && !Number.isInteger(n)) throw new Error(`expected an integer, got ${n}`);
+            if (spec.gt !== undefined && !(n > spec.gt)) throw new Error(`must be > ${spec.gt}, got ${n}`);
+            if (spec.min !== undefined && n < spec.min) throw new Error(`must be >= ${spec.min}, got ${n}`);
+            if (spec.max !== undefined && n > spec.max) throw new Error(`must be <= ${spec.max}, got ${n}`);
+            return n;
+        }
+        case 'bool': {
+            if (typeof raw === 'boolean') return raw;
+            const v = String(raw).toLowerCase().trim();
+            if (['1', 'true', 'yes', 'on'].includes(v)) return true;
+            if (['0', 'false', 'no', 'off'].includes(v)) return false;
+            throw new Error(`expected true/false, got ${JSON.stringify(raw)}`);
+        }
+        case 'string':
+            if (typeof raw !== 'string' && typeof raw !== 'number') throw new Error(`expected a string, got ${JSON.stringify(raw)}`);
+            return String(raw).trim();
+        case 'enum': {
+            const values = typeof spec.values === 'function' ? spec.values() : spec.values;
+            const v = String(raw).toLowerCase().trim();
+            if (!values.includes(v)) throw new Error(`expected one of: ${values.join(', ')}, got '${raw}'`);
+            return v;
+        }
+        case 'list': {
+            const items = (Array.isArray(raw) ? raw.map(String) : String(raw).split(','))
+                .map((s) => (spec.keepCase ? s.trim() : s.trim().toLowerCase()))
+                .filter(Boolean);
+            if (!items.length) throw new Error('expected at least one item');
+            const values = typeof spec.values === 'function' ? spec.values() : spec.values;
+            const bad = values ? items.filter((i) => !values.includes(i)) : [];
+            if (bad.length) throw new Error(`unknown item(s) ${bad.join(', ')} (expected: ${values.join(', ')})`);
+            return items;
+        }
+        case 'json': {
+            const obj = typeof raw === 'string' ? parseJsonText(raw) : raw;
+            if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('expected a JSON object');
+            return obj;
+        }
+        case 'array': {
+            const arr = typeof raw === 'string' ? parseJsonText(raw) : raw;
+            if (!Array.isArray(arr)) throw new Error('expected a JSON array');
+            return arr;
+        }
+        case 'pair': {
+            const arr = typeof raw === 'string' ? parseJsonText(raw) : raw;
+            if (!Array.isArray(arr) || arr.length !== 2) throw new Error(`expected a two-element array, got ${JSON.stringify(arr)}`);
+            return arr.map(toNumber);
+        }
+        default:
+            throw new Error(`unknown schema type '${spec.type}'`);
+    }
+}
+
+/**
+ * Validate one value against the schema entry for `name`.
+ * @param {string} name   Setting name (env var name)
+ * @param {*} raw         Env string or file/JSON value
+ * @param {string} where  Source label for the error message
+ */
+function coerceSetting(name, raw, where = name) {
+    const spec = BY_NAME.get(name);
+    if (!spec) throw new Error(`Unknown setting '${name}'`);
+    let value;
+    try {
+        value = coerceRaw(spec, raw);
+        const verdict = spec.check ? spec.check(value) : true;
+        if (verdict !== true) throw new Error(typeof verdict === 'string' ? verdict : 'failed validation');
+    } catch (e) {
+        throw new Error(`Invalid ${name} (from ${where}): ${e.message}`);
+    }
+    return value;
+}
+
+/** Schema default for `name` on `network` (a copy, so callers may mutate it). */
+function defaultSetting(name, network = 'mainnet') {
+    const spec = BY_NAME.get(name);
+    if (!spec) throw new Error(`Unknown setting '${name}'`);
+    return structuredClone(typeof spec.default === 'function' ? spec.default(network) : spec.default);
+}
+
+/* --------------------------------- networks ---------------------------------- */
+
+/** The schema entry a file or env key sets: NAME, an alias, or <NETWORK>_<NAME>. */
+function specForKey(key) {
+    if (BY_KEY.has(key)) return BY_KEY.get(key);
+    const m = key.match(/^[A-Z][A-Z0-9]*_(.+)$/);
+    const spec = m ? BY_KEY.get(m[1]) : null;
+    return spec && spec.perNetwork !== false ? spec : null;
+}
+
+/** Keys that set `spec` on `network`, strongest first. */
+function settingKeys(spec, network) {
+    const names = [spec.name, ...(spec.aliases ?? [])];
+    if (spec.perNetwork === false) return names;
+    return [...names.map((n) => networkPrefix(network) + n), ...names];
+}
+
+/**
+ * The `--network <name>` / `--network=<name>` command-line flag.
+ * @returns {string|null}
+ */
+function networkFlag(argv = process.argv.slice(2)) {
+    for (const [i, arg] of argv.entries()) {
+        if (arg.startsWith('--network=')) return arg.slice('--network='.length);
+        if (arg === '--network') {
+            if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) throw new Error('--network needs a network name');
+            return argv[i + 1];
+        }
+    }
+    return null;
+}
+
+/** Command-line arguments without flags (and without the value of --network). */
+function positionalArgs(argv = process.argv.slice(2)) {
+    return argv.filter((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--network');
+}
+
+/* ---------------------------------- loading ---------------------------------- */
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error(`CONFIG_FILE ${file} is unreadable: ${e.message}`);
+    }
+    let obj;
+    try {
+        obj = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (e) {
+        throw new Error(`CONFIG_FILE ${file} does not parse: ${e.message}`);
+    }
+    if (obj == null) return {};
+    const isMapping = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isMapping(obj)) {
+        throw new Error(`CONFIG_FILE ${file} must contain a mapping of setting names to values`);
+    }
+    const unknown = Object.keys(obj).filter((k) => k !== 'networks' && !specForKey(k));
+    for (const [network, overlay] of Object.entries(obj.networks ?? {})) {
+        if (!NETWORK_NAME.test(network) || !isMapping(overlay)) {
+            throw new Error(`CONFIG_FILE ${file}: networks.${network} must be a mapping under a lowercase network name`);
+        }
+        unknown.push(...Object.keys(overlay)
+            .filter((k) => !BY_KEY.has(k) || BY_KEY.get(k).perNetwork === false)
+            .map((k) => `networks.${network}.${k}`));
+    }
+    if (unknown.length) {
+        throw new Error(`CONFIG_FILE ${file}: unknown setting(s) ${unknown.join(', ')}`);
+    }
+    return obj;
+}
+
+/**
+ * Where `spec` is set for `network`: env keys first, then the file's networks.<network>
+ * block, then the file's own keys. Null when it is not set anywhere.
+ * @returns {{raw: *, key: string, source: string}|null}
+ */
+function findSetting(spec, network, env, fromFile) {
+    const keys = settingKeys(spec, network);
+    const present = (v) => v !== undefined && v !== null && v !== '';
+    for (const key of keys) {
+        if (env[key] !== undefined && env[key].trim() !== '') return { raw: env[key], key, source: 'env' };
+    }
+    const overlay = spec.perNetwork === false ? {} : fromFile.networks?.[network] ?? {};
+    for (const key of [spec.name, ...(spec.aliases ?? [])]) {
+        if (present(overlay[key])) return { raw: overlay[key], key: `networks.${network}.${key}`, source: 'file' };
+    }
+    for (const key of keys) {
+        if (present(fromFile[key])) return { raw: fromFile[key], key, source: 'file' };
+    }
+    return null;
+}
+
+/**
+ * Resolve every setting for the selected network.
+ * @param {Object} [opts]
+ * @param {string|null} [opts.file] Config file (defaults to CONFIG_FILE)
+ * @param {Object} [opts.env]       Environment (defaults to process.env)
+ * @param {string[]} [opts.argv]    Command-line arguments, for --network
+ * @returns {{ file: string|null, network: string, values: Object, sources: Object }}
+ *          sources[name] = 'default' | 'file' | 'env' | 'cli', plus the key when it is not
+ *          the plain name (e.g. 'env MAINNET_RPC_URL', 'file networks.testnet.RPC_URL')
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE?.trim() || null, argv = process.argv.slice(2) } = {}) {
+    const fromFile = file ? readConfigFile(file) : {};
+    const values = {};
+    const sources = {};
+
+    const flag = networkFlag(argv);
+    if (flag !== null) {
+        values.SUI_NETWORK = coerceSetting('SUI_NETWORK', flag, '--network');
+        sources.SUI_NETWORK = 'cli';
+    }
+    for (const spec of SCHEMA) {
+        if (spec.name in values) continue;
+        const found = findSetting(spec, values.SUI_NETWORK, env, fromFile);
+        if (found) {
+            const where = found.source === 'env' ? `env ${found.key}` : `${path.basename(file)} ${found.key}`;
+            values[spec.name] = coerceSetting(spec.name, found.raw, where);
+            sources[spec.name] = found.key === spec.name ? found.source : `${found.source} ${found.key}`;
+        } else {
+            values[spec.name] = defaultSetting(spec.name, values.SUI_NETWORK);
+            sources[spec.name] = 'default';
+        }
+    }
+    return { file, network: values.SUI_NETWORK, values, sources };
+}
+
+/** Resolved values only: `getConfig().RGP_ROUND_STEP`. */
+function getConfig() {
+    return loadConfig().values;
+}
+
+/** A setting that must be present for the current operation. */
+function requireSetting(values, name) {
+    const v = values[name];
+    if (v === null || v === undefined) throw new Error(`Missing required setting: ${name}`);
+    return v;
+}
+
+/* ------------------------------ cross-checks --------------------------------- */
+
+/**
+ * Rules that span several settings.
+ * @returns {string[]} problems (empty when the configuration is usable)
+ */
+function checkConfig(values) {
+    const problems = [];
+    if (values.RGP_STRATEGY === 'usd_target' && values.TARGET_AVG_TX_USD === null) {
+        problems.push("TARGET_AVG_TX_USD is required for RGP_STRATEGY 'usd_target'");
+    }
+    // A custom network has no profile to default from; RPC_URL is checked where it is needed below
+    if (!networkProfile(values.SUI_NETWORK) && !values.GRAPHQL_URL) {
+        problems.push(`GRAPHQL_URL is required for custom network '${values.SUI_NETWORK}' (no built-in profile)`);
+    }
+    if (STRATEGIES[values.RGP_STRATEGY].needsPeers && !values.RPC_URL) {
+        problems.push(`RPC_URL is required for RGP_STRATEGY '${values.RGP_STRATEGY}' (validator survey)`);
+    }
+    if (values.RGP_MIN_MIST !== null && values.RGP_MAX_MIST !== null && values.RGP_MIN_MIST > values.RGP_MAX_MIST) {
+        problems.push('RGP_MIN_MIST must be <= RGP_MAX_MIST');
+    }
+    if (values.METRICS_WINDOW_TO !== null && values.METRICS_WINDOW_FROM === null) {
+        problems.push('METRICS_WINDOW_TO needs METRICS_WINDOW_FROM (a date range has a start)');
+    } else if (values.METRICS_WINDOW_TO !== null && Date.parse(values.METRICS_WINDOW_TO) < Date.parse(values.METRICS_WINDOW_FROM)) {
+        problems.push('METRICS_WINDOW_TO must not be before METRICS_WINDOW_FROM');
+    }
+    if (values.SCHEDULER_DEADLINE_MINUTES <= values.SCHEDULER_DELAY_MINUTES) {
+        problems.push('SCHEDULER_DEADLINE_MINUTES must be greater than SCHEDULER_DELAY_MINUTES');
+    }
+    if (values.UPDATE_ONCHAIN && !values.DRY_RUN && !values.RPC_URL) {
+        problems.push('RPC_URL is required when UPDATE_ONCHAIN=true');
+    }
+    if (values.MULTISIG_PUBLIC_KEYS.length) {
+        const total = values.MULTISIG_PUBLIC_KEYS.reduce((sum, k) => sum + k.weight, 0);
+        if (values.MULTISIG_THRESHOLD === null) problems.push('MULTISIG_THRESHOLD is required with MULTISIG_PUBLIC_KEYS');
+        else if (values.MULTISIG_THRESHOLD > total) problems.push(`MULTISIG_THRESHOLD ${values.MULTISIG_THRESHOLD} exceeds the total weight ${total}`);
+    }
+    return problems;
+}
+
+/* ------------------------------ CLI execution -------------------------------- */
+
+function display(spec, value) {
+    if (value === null) return '(unset)';
+    if (spec.secret) return '***';
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+async function main() {
+    const { file, network, values, sources } = loadConfig();
+    console.log(`\n=== Effective configuration (network: ${network}, file: ${file ?? 'none'}) ===`);
+    console.table(SCHEMA.map((spec) => ({
+        section: spec.section,
+        setting: spec.name,
+        value: display(spec, values[spec.name]),
+        source: sources[spec.name],
+    })));
+
+    const problems = checkConfig(values);
+    try {
+        const { loadValidators } = require('./validators');
+        const validators = loadValidators();
+        console.log(`\n=== Validators (${validators.length}) ===`);
+        if (validators.length > 1 && values.PUSHGATEWAY_URL && !values.PUSHGATEWAY_GROUPING.includes('validator')) {
+            problems.push('PUSHGATEWAY_GROUPING must contain validator when managing several validators (their pushes would replace each other)');
+        }
+        console.table(validators.map((v) => ({
+            name: v.name,
+            operationCapId: v.operationCapId ?? '(unset)',
+            privateKeyEnv: v.privateKeyEnv,
+            keySet: !!process.env[v.privateKeyEnv],
+            signerAddress: v.signerAddress ?? '(unset)',
+            policy: JSON.stringify(v.policy),
+        })));
+        if (values.UPDATE_ONCHAIN && !values.DRY_RUN) {
+            for (const v of validators) {
+                if (!v.operationCapId) problems.push(`validator '${v.name}': operation cap id is not set`);
+                if (values.SIGNING_MODE === 'offline') {
+                    if (!v.signerAddress) problems.push(`validator '${v.name}': SIGNING_MODE=offline needs the signer (e.g. multisig) address`);
+                } else if (!process.env[v.privateKeyEnv] && !v.signerAddress && values.FIXTURE_MODE !== 'replay') {
+                    problems.push(`validator '${v.name}': env ${v.privateKeyEnv} is not set and no signer address for the keystore`);
+                }
+            }
+        }
+    } catch (e) {
+        problems.push(e.message);
+    }
+
+    if (problems.length) {
+        console.error('\n[config] invalid configuration:');
+        problems.forEach((p) => console.error(`  - ${p}`));
+        process.exit(1);
+    }
+    console.log('\n[config] OK');
+}
+
+// Exported before the CLI runs: validators.js (loaded by main) requires this module back.
+module.exports = {
+    SCHEMA,
+    POLICY_SETTINGS,
+    loadConfig,
+    getConfig,
+    coerceSetting,
+    defaultSetting,
+    requireSetting,
+    checkConfig,
+    networkFlag,
+    positionalArgs,
+};
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error('[config]', e.message);
+        process.exit(1);
+    });
+}
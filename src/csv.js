@@ -0,0 +1,32 @@
+/**
+ * csv.js
+ *
+ * Minimal CSV writer for the table-shaped outputs (backtest series, per-epoch rows).
+ * Columns are the union of row keys in first-seen order.
+ */
+
+function csvCell(v) {
+    if (v === null || v === undefined) return '';
+    const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @returns {string} CSV text with a header line
+ */
+function toCsv(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((c) => csvCell(row[c])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,129 @@
+/**
+ * epochScheduler.js
+ *
+ * Epoch-transition-driven scheduler (alternative to a fixed cron string).
+ *
+ * Polls the current epoch ID + start timestamp and calls the run function exactly once
+ * per new epoch, inside a submission window measured from the epoch start:
+ *
+ *   start + SCHEDULER_DELAY_MINUTES  <=  run  <=  start + SCHEDULER_DEADLINE_MINUTES
+ *
+ * An epoch first seen after its deadline is marked handled and skipped (no late quotes).
+ * nextRunAt() estimates the next run assuming EPOCH_DURATION_MS (24h on mainnet).
+ * The last handled epoch is persisted to the run-state store (runState.js) only once the run
+ * succeeds: a failed run (GraphQL down, a validator's submission failing) is tried again after
+ * SCHEDULER_RETRY_DELAY_MINUTES, doubling after each failure, at most SCHEDULER_MAX_ATTEMPTS
+ * times and never past the deadline; then the epoch is given up. Validators already submitted
+ * for the epoch are skipped by the runner, so a retry or a restart never submits twice. The run
+ * is given the deadline and does not submit past it, and is told which attempt it is and
+ * whether it is the last one.
+ */
+
+const { fetchCurrentEpoch } = require('./metrics');
+const { getLastHandledEpoch, setLastHandledEpoch } = require('./runState');
+const { getConfig } = require('./config');
+
+const MINUTE_MS = 60 * 1000;
+const EPOCH_DURATION_MS = 24 * 60 * MINUTE_MS;
+
+/* --------------------------------- scheduler --------------------------------- */
+
+/**
+ * Start polling in the background. Errors from the probe or the run are logged and
+ * the next poll continues.
+ *
+ * @param {(epoch: {epochId:number, startTimestampMs:number}, opts: {deadlineAt: number, attempt: number, finalAttempt: boolean}) => Promise<any>} runFn
+ *   deadlineAt: the end of the submission window (ms since epoch)
+ *   attempt: 1 for the first run of the epoch; finalAttempt: no retry follows if this one fails
+ * @returns {{ nextRunAt: () => (Date|null) }}
+ */
+function startEpochScheduler(runFn) {
+    const config = getConfig();
+    const pollMs = config.SCHEDULER_POLL_SECONDS * 1000;
+    const delayMs = config.SCHEDULER_DELAY_MINUTES * MINUTE_MS;
+    const deadlineMs = config.SCHEDULER_DEADLINE_MINUTES * MINUTE_MS;
+    const maxAttempts = config.SCHEDULER_MAX_ATTEMPTS;
+    const retryDelayMs = config.SCHEDULER_RETRY_DELAY_MINUTES * MINUTE_MS;
+
+    if (deadlineMs <= delayMs) {
+        throw new Error('SCHEDULER_DEADLINE_MINUTES must be greater than SCHEDULER_DELAY_MINUTES');
+    }
+
+    let lastHandled = getLastHandledEpoch();
+    console.log(
+        `[scheduler] epoch mode: poll ${pollMs / 1000}s, window [+${delayMs / MINUTE_MS}m, +${deadlineMs / MINUTE_MS}m] after epoch start,`,
+        'last handled epoch:', lastHandled ?? 'none'
+    );
+
+    let latest = null; // last epoch seen by a poll
+    let attempts = { epochId: null, count: 0, nextAt: 0 }; // runs of the current epoch so far, next retry
+
+    const markHandled = (epochId) => {
+        lastHandled = epochId;
+        setLastHandledEpoch(epochId);
+    };
+
+    const tick = async () => {
+        const epoch = await fetchCurrentEpoch();
+        latest = epoch;
+        if (lastHandled !== null && epoch.epochId <= lastHandled) return;
+
+        const sinceStart = Date.now() - epoch.startTimestampMs;
+        if (sinceStart < delayMs) return; // too early, wait for the next poll
+
+        if (sinceStart > deadlineMs) {
+            console.warn(
+                `[scheduler] epoch ${epoch.epochId} started ${Math.round(sinceStart / MINUTE_MS)}m ago`,
+                '— past the deadline, skipping this epoch.'
+            );
+            markHandled(epoch.epochId);
+            return;
+        }
+
+        if (attempts.epochId !== epoch.epochId) attempts = { epochId: epoch.epochId, count: 0, nextAt: 0 };
+        if (Date.now() < attempts.nextAt) return; // backing off after a failed run
+
+        attempts.count += 1;
+        const deadlineAt = epoch.startTimestampMs + deadlineMs;
+        const backoffMs = retryDelayMs * 2 ** (attempts.count - 1);
+        const finalAttempt = attempts.count >= maxAttempts || Date.now() + backoffMs > deadlineAt;
+        console.log(
+            `[scheduler] ${attempts.count > 1 ? `retrying epoch ${epoch.epochId} (attempt ${attempts.count}/${maxAttempts})` : `new epoch ${epoch.epochId}`}`,
+            `(+${Math.round(sinceStart / MINUTE_MS)}m) → running`
+        );
+        try {
+            await runFn(epoch, { deadlineAt, attempt: attempts.count, finalAttempt });
+        } catch (e) {
+            if (finalAttempt) {
+                console.error(`[scheduler] epoch ${epoch.epochId}: giving up after ${attempts.count} attempt(s)`);
+                markHandled(epoch.epochId);
+            } else {
+                attempts.nextAt = Date.now() + backoffMs;
+                console.warn(`[scheduler] epoch ${epoch.epochId}: next attempt in ${Math.round(backoffMs / MINUTE_MS)}m`);
+            }
+            throw e;
+        }
+        markHandled(epoch.epochId);
+    };
+
+    const loop = async () => {
+        try {
+            await tick();
+        } catch (e) {
+            console.error('[scheduler] run error:', e.message);
+        }
+        setTimeout(loop, pollMs);
+    };
+    loop();
+
+    return {
+        nextRunAt() {
+            if (!latest) return null;
+            const handled = lastHandled !== null && latest.epochId <= lastHandled;
+            const start = handled ? latest.startTimestampMs + EPOCH_DURATION_MS : latest.startTimestampMs;
+            return new Date(Math.max(Date.now(), start + delayMs));
+        },
+    };
+}
+
+module.exports = { startEpochScheduler };
@@ -0,0 +1,287 @@
+/**
+ * fixtures.js
+ *
+ * Record / replay of everything a run reads from outside (FIXTURE_MODE, FIXTURE_DIR), so a
+ * past proposal can be reproduced and the pipeline exercised with no network access.
+ *
+ *   record  - a normal run that also saves, in call order, what it read:
+ *               graphql.json   GraphQL responses (metrics.js)
+ *               prices.json    the daily SUI/USD price map (suiPriceHistory.js)
+ *               chain.json     fullnode RPC responses: quotes, survey, pre-flight, tx build/execute
+ *               values.json    random jitter draws and signer addresses
+ *               meta.json      network, time, and the run state as it was before the run
+ *               outcome.json   per validator: status, proposal, calc, tx digest
+ *             Each run (and each process) starts a fresh recording in FIXTURE_DIR.
+ *   replay  - the same inputs are served from FIXTURE_DIR instead. The run state starts from the
+ *             recorded snapshot and every local write (run state, audit log, offline txs,
+ *             reports) goes to FIXTURE_DIR/replay/; webhooks and Pushgateway are skipped.
+ *             Submission goes to a stub signer: the tx is built from the recorded chain state
+ *             and "executed" by returning the recorded effects of that exact tx (no key needed).
+ *             At the end the outcome is compared with outcome.json.
+ *
+ * A request the recording does not contain (another config, another code path) fails with a
+ * non-retryable error naming the request. Repeated identical requests are served in the order
+ * they were recorded; past the last one, the last response is repeated.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const CHANNELS = ['graphql', 'prices', 'chain', 'values'];
+const STUB_SIGNATURE = 'fixture-stub-signature';
+
+let store = null; // { dir, mode, entries: { channel: [] }, served: Map<string, number> }
+
+/* ---------------------------------- encoding --------------------------------- */
+
+// Responses may carry bigint (e.g. the reference gas price) and bytes; JSON keeps neither.
+function encode(_key, value) {
+    if (typeof value === 'bigint') return { $bigint: value.toString() };
+    if (value instanceof Uint8Array) return { $bytes: Buffer.from(value).toString('base64') };
+    return value;
+}
+
+function decode(_key, value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$bigint === 'string') return BigInt(value.$bigint);
+        if (typeof value.$bytes === 'string') return new Uint8Array(Buffer.from(value.$bytes, 'base64'));
+    }
+    return value;
+}
+
+const toJson = (value, space) => JSON.stringify(value ?? null, encode, space);
+const fromJson = (text) => JSON.parse(text, decode);
+const hash = (value) => crypto.createHash('sha256').update(toJson(value)).digest('hex').slice(0, 16);
+
+/* ----------------------------------- store ----------------------------------- */
+
+const channelFile = (dir, channel) => path.join(dir, `${channel}.json`);
+
+function readJson(file) {
+    try {
+        return fromJson(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`fixture ${file} is unreadable: ${e.message}`);
+    }
+}
+
+function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, toJson(value, 2));
+}
+
+/** Clear FIXTURE_DIR and note what is being recorded, including the run state as it is now. */
+function startRecording(config) {
+    const dir = path.resolve(config.FIXTURE_DIR);
+    store = { dir, mode: 'record', entries: Object.fromEntries(CHANNELS.map((c) => [c, []])), served: new Map() };
+    for (const channel of CHANNELS) writeJson(channelFile(dir, channel), []);
+    fs.rmSync(path.join(dir, 'outcome.json'), { force: true });
+    const stateFile = config.RUN_STATE_FILE;
+    writeJson(path.join(dir, 'meta.json'), {
+        network: config.SUI_NETWORK,
+        recordedAt: new Date().toISOString(),
+        runState: fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : null,
+    });
+    console.log(`[fixtures] recording to ${dir}`);
+    return store;
+}
+
+function loadRecording(config) {
+    const dir = path.resolve(config.FIXTURE_DIR);
+    const metaFile = path.join(dir, 'meta.json');
+    if (!fs.existsSync(metaFile)) throw new Error(`FIXTURE_MODE=replay: no recording in ${dir} (meta.json missing)`);
+    const meta = readJson(metaFile);
+    if (meta.network !== config.SUI_NETWORK) {
+        throw new Error(`fixture ${dir} was recorded on ${meta.network}, not ${config.SUI_NETWORK}: run with --network ${meta.network}`);
+    }
+    const entries = {};
+    for (const channel of CHANNELS) {
+        const file = channelFile(dir, channel);
+        entries[channel] = fs.existsSync(file) ? readJson(file) : [];
+    }
+    console.log(`[fixtures] replaying ${dir} (recorded ${meta.recordedAt})`);
+    store = { dir, mode: 'replay', meta, entries, served: new Map() };
+    return store;
+}
+
+function openStore(config) {
+    const dir = path.resolve(config.FIXTURE_DIR);
+    if (store && store.dir === dir && store.mode === config.FIXTURE_MODE) return store;
+    return config.FIXTURE_MODE === 'record' ? startRecording(config) : loadRecording(config);
+}
+
+function replayError(channel, key, request) {
+    return Object.assign(
+        new Error(`fixture ${store.dir} has no recorded ${channel} response for ${toJson(request).slice(0, 200)} (${key})`),
+        { retryable: false }
+    );
+}
+
+/** Next recorded response for `key` (the last one again once they are used up). */
+function serve(channel, key, request) {
+    const matches = store.entries[channel].filter((e) => e.key === key);
+    if (!matches.length) throw replayError(channel, key, request);
+    const id = `${channel}\u0000${key}`;
+    const n = store.served.get(id) ?? 0;
+    store.served.set(id, n + 1);
+    // A fresh copy each time, so callers can never mutate the recording
+    return fromJson(toJson(matches[Math.min(n, matches.length - 1)].response));
+}
+
+function save(channel, key, request, response) {
+    store.entries[channel].push({ key, request, response });
+    writeJson(channelFile(store.dir, channel), store.entries[channel]);
+}
+
+/* ------------------------------------ API ------------------------------------ */
+
+/** 'off' | 'record' | 'replay' */
+function fixtureMode(config = getConfig()) {
+    return config.FIXTURE_MODE;
+}
+
+/**
+ * Fetch through the fixture: `fetch()` as usual (off), `fetch()` and save (record), or the
+ * recorded response without calling `fetch` (replay).
+ * @param {string} channel  graphql | prices | chain
+ * @param {string} key      identifies the request; equal requests must give equal keys
+ * @param {*} request       what was asked, kept for readers of the fixture and error messages
+ * @param {() => Promise<*>} fetch
+ */
+async function recorded(channel, key, request, fetch, config = getConfig()) {
+    if (config.FIXTURE_MODE === 'off') return fetch();
+    openStore(config);
+    if (store.mode === 'replay') return serve(channel, key, request);
+    const response = await fetch();
+    save(channel, key, request, response);
+    return response;
+}
+
+/** Synchronous counterpart of recorded() for values computed locally (jitter draws, addresses). */
+function recordedValue(key, compute, config = getConfig()) {
+    if (config.FIXTURE_MODE === 'off') return compute();
+    openStore(config);
+    if (store.mode === 'replay') return serve('values', key, key);
+    const value = compute();
+    save('values', key, key, value);
+    return value;
+}
+
+/**
+ * A fullnode provider whose calls go through the fixture. `connect()` creates the real one;
+ * it is not called in replay, where the provider only exists as recorded answers.
+ */
+function fixtureProvider(connect, config = getConfig()) {
+    const mode = config.FIXTURE_MODE;
+    if (mode === 'off') return connect();
+    const target = mode === 'record' ? connect() : {};
+    return new Proxy(target, {
+        get(t, method) {
+            if (typeof method !== 'string' || method === 'then') return t[method];
+            if (mode === 'record' && typeof t[method] !== 'function') return t[method];
+            return (...args) => {
+                // The key ignores signatures: the stub signer of a replay cannot reproduce them
+                const request = { method, args: args.map((a) => (a && typeof a === 'object' && 'signature' in a ? { ...a, signature: undefined } : a)) };
+                return recorded('chain', `${method}:${hash(request.args)}`, request, () => Reflect.apply(t[method], t, args), config);
+            };
+        },
+    });
+}
+
+/**
+ * Signer used in replay: same signTransactionBlock(bytes) as the SDK's keypairs, over tx bytes
+ * built from the (replayed) chain state, but it signs nothing.
+ */
+function stubSigner() {
+    return {
+        async signTransactionBlock(bytes) {
+            return { bytes: Buffer.from(bytes).toString('base64'), signature: STUB_SIGNATURE };
+        },
+    };
+}
+
+/**
+ * Where a local file/dir setting (RUN_STATE_FILE, AUDIT_LOG_FILE, OFFLINE_TX_DIR, REPORT_DIR)
+ * points: as configured, or under FIXTURE_DIR/replay/ while replaying.
+ */
+function localPath(config, name) {
+    const value = config[name];
+    if (config.FIXTURE_MODE !== 'replay' || !value) return value;
+    return path.join(config.FIXTURE_DIR, 'replay', path.basename(value));
+}
+
+/* ---------------------------------- per run ---------------------------------- */
+
+/** Start of a runner pass: a fresh recording, or a rewound replay with the recorded run state. */
+function beginRun(config = getConfig()) {
+    if (config.FIXTURE_MODE === 'record') {
+        startRecording(config);
+    } else if (config.FIXTURE_MODE === 'replay') {
+        openStore(config);
+        store.served.clear();
+        fs.rmSync(path.join(store.dir, 'replay'), { recursive: true, force: true });
+        if (store.meta.runState) writeJson(localPath(config, 'RUN_STATE_FILE'), store.meta.runState);
+    }
+}
+
+function outcomeOf({ name, report, error }) {
+    return {
+        validator: name,
+        status: report.status ?? 'error',
+        epoch: report.rgp?.epoch ?? null,
+        proposedRgpMist: report.rgp?.proposedRgpMist ?? null,
+        calc: report.rgp?.calc ?? null,
+        txDigest: report.tx?.digest ?? report.txDigest ?? null,
+        error: error ?? report.tx?.error ?? null,
+    };
+}
+
+/**
+ * End of a runner pass: save the outcome (record) or compare it with the recorded one (replay).
+ * @param {Array<{name: string, report: Object, error: string|null}>} validators
+ * @returns {Array<Object>|null} replay differences ([] when identical); null when not replaying
+ */
+function finishRun(validators, config = getConfig()) {
+    if (config.FIXTURE_MODE === 'off') return null;
+    openStore(config);
+    const outcome = validators.map(outcomeOf);
+    const file = path.join(store.dir, 'outcome.json');
+    if (store.mode === 'record') {
+        writeJson(file, outcome);
+        return null;
+    }
+    if (!fs.existsSync(file)) {
+        console.warn(`[fixtures] ${file} is missing; nothing to compare the replay with`);
+        return null;
+    }
+    const expected = readJson(file);
+    const diffs = [];
+    for (const name of new Set([...expected, ...outcome].map((o) => o.validator))) {
+        const was = expected.find((o) => o.validator === name) ?? {};
+        const now = outcome.find((o) => o.validator === name) ?? {};
+        for (const field of new Set([...Object.keys(was), ...Object.keys(now)])) {
+            if (toJson(was[field]) !== toJson(now[field])) diffs.push({ validator: name, field, recorded: toJson(was[field]), replayed: toJson(now[field]) });
+        }
+    }
+    if (diffs.length) {
+        console.warn(`[fixtures] replay differs from the recording in ${diffs.length} field(s):`);
+        console.table(diffs);
+    } else {
+        console.log(`[fixtures] replay matches the recording (${outcome.length} validator(s))`);
+    }
+    return diffs;
+}
+
+module.exports = {
+    STUB_SIGNATURE,
+    fixtureMode,
+    recorded,
+    recordedValue,
+    fixtureProvider,
+    stubSigner,
+    localPath,
+    beginRun,
+    finishRun,
+};
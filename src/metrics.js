@@ -1,28 +1,42 @@
 /**
  * metrics.js
  *
- * Fetch 50 epochs from Sui GraphQL and compute per-epoch metrics
- * using ONLY rollingGasSummary (ignore epochs.totalGasFees).
+ * Fetch the lookback window of epochs from Sui GraphQL (GRAPHQL_URL of the selected network) and
+ * compute per-epoch metrics using ONLY rollingGasSummary (ignore epochs.totalGasFees).
+ *
+ * Lookback window (paged backwards with the `before` cursor, so any length works):
+ *   METRICS_WINDOW_EPOCHS   the last N epochs (default 28), or
+ *   METRICS_WINDOW_FROM/TO  the epochs that started in a date range (TO defaults to now; a bare
+ *                           date includes the whole day)
+ *   METRICS_CURRENT_EPOCH   the in-progress epoch has partial data: include (default; it counts as
+ *                           one of the N and is shown as 'in progress', as with the original
+ *                           `epochs(last: 28)` query) or exclude (N completed epochs); either way
+ *                           it supplies the current RGP
+ * Prices are fetched for as many days as the window spans.
  *
  * Adds:
- *  - price_usd matched by epoch end date (fallback start)
+ *  - price_usd matched by epoch end date (fallback start), with the provider in price_source
  *  - avgTotalPerTx_USD, avgCompPerTx_USD
  *  - **latest epoch referenceGasPrice** in the returned payload
  *  - **exports collectMetrics()** so other scripts (RGP calc) can reuse results
  *  - optional JSON dump via METRICS_OUT_JSON
+ *  - selectable aggregation for the RGP inputs (see aggregate.js):
+ *      RGP_AGG_COMP_SHARE, RGP_AGG_COMP_COST_USD = mean | tx_weighted | median | ewma | trimmed
+ *      RGP_AGG_EWMA_HALF_LIFE (epochs, default 7), RGP_AGG_TRIM_PCT (% per side, default 10)
+ *  - anomaly detection (robust MAD z-score) on per-tx comp cost, comp share and tx count:
+ *      ANOMALY_MODE = off | flag (default) | exclude, ANOMALY_Z_THRESHOLD (default 3.5),
+ *      ANOMALY_MAX_FRACTION (abort when more than this fraction of epochs is anomalous)
  */
 
-const { getSuiDailyPriceMap } = require('./suiPriceHistory');
+const crypto = require('crypto');
+const { getSuiDailyPrices } = require('./suiPriceHistory');
+const { aggregate, describeAggregation, median } = require('./aggregate');
+const { getConfig, requireSetting } = require('./config');
+const { withRetry } = require('./retry');
+const { recorded } = require('./fixtures');
 const fs = require("fs");
 
-const ENDPOINT =
-    process.env.SUI_GRAPHQL_URL ||
-    'https://graphql.mainnet.sui.io/graphql';
-
-const QUERY = `
-query Epochs {
-  epochs(last: 28) {
-    nodes {
+const EPOCH_FIELDS = `
       epochId
       startTimestamp
       endTimestamp
@@ -38,13 +52,35 @@ query Epochs {
             nonRefundableStorageFee
           }
         }
-      }
+      }`;
+
+// Walks backwards through epoch history one page at a time (lookback window and backtest).
+const EPOCH_PAGE_QUERY = `
+query EpochPage($last: Int!, $before: String) {
+  epochs(last: $last, before: $before) {
+    pageInfo {
+      hasPreviousPage
+      startCursor
+    }
+    nodes {${EPOCH_FIELDS}
     }
   }
 }
 `;
 
+const EPOCH_PAGE_SIZE = 50;
+
+const CURRENT_EPOCH_QUERY = `
+query CurrentEpoch {
+  epoch {
+    epochId
+    startTimestamp
+  }
+}
+`;
+
 const MIST_PER_SUI = 1_000_000_000n;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /* ------------------------- bigint / formatting helpers ------------------------ */
 
@@ -92,21 +128,169 @@ function isoDateOnly(s) {
     try { return new Date(s).toISOString().slice(0, 10); } catch { return null; }
 }
 
+/* ------------------------------ aggregation config ------------------------------ */
+
+function aggSpec(config, method) {
+    return { method, halfLife: config.RGP_AGG_EWMA_HALF_LIFE, trimPct: config.RGP_AGG_TRIM_PCT };
+}
+
+/** Aggregation spec for each input computeRgp consumes (validated in config.js). */
+function readAggregation(config = getConfig()) {
+    return {
+        compShare: aggSpec(config, config.RGP_AGG_COMP_SHARE),
+        compCostUsd: aggSpec(config, config.RGP_AGG_COMP_COST_USD),
+    };
+}
+
+/* ------------------------------ anomaly detection ------------------------------ */
+
+function readAnomalyPolicy(config = getConfig()) {
+    return {
+        mode: config.ANOMALY_MODE,
+        threshold: config.ANOMALY_Z_THRESHOLD,
+        maxFraction: config.ANOMALY_MAX_FRACTION,
+    };
+}
+
+/**
+ * Modified z-scores (Iglewicz–Hoaglin): 0.6745 * (x - median) / MAD.
+ * Falls back to the mean absolute deviation when MAD is 0; all-equal series score 0.
+ */
+function robustZScores(xs) {
+    const finite = xs.filter(Number.isFinite);
+    if (finite.length < 3) return xs.map(() => 0);
+    const med = median(finite);
+    const mad = median(finite.map((x) => Math.abs(x - med)));
+    const meanAd = finite.reduce((a, x) => a + Math.abs(x - med), 0) / finite.length;
+    return xs.map((x) => {
+        if (!Number.isFinite(x)) return 0;
+        if (mad > 0) return (0.6745 * (x - med)) / mad;
+        if (meanAd > 0) return (x - med) / (1.253314 * meanAd);
+        return 0;
+    });
+}
+
+/**
+ * Mark anomalous epochs with `anomaly: [reasons]` and pick the rows that feed the summary.
+ * Throws when the anomalous fraction exceeds maxFraction.
+ *
+ * @returns {{ rows: Array<Object>, used: Array<Object>, report: Object }}
+ */
+function applyAnomalyPolicy(rows, policy = readAnomalyPolicy()) {
+    const report = { mode: policy.mode, threshold: policy.threshold, flagged: [], excluded: 0 };
+    if (policy.mode === 'off') {
+        return { rows, used: rows, report };
+    }
+
+    const series = {
+        avgCompPerTx_USD: rows.map((r) => (typeof r.avgCompPerTx_USD === 'number' ? r.avgCompPerTx_USD : NaN)),
+        compShare: rows.map(totalGasShare),
+        txCount: rows.map((r) => r.txCount),
+    };
+    const scores = Object.fromEntries(Object.entries(series).map(([k, xs]) => [k, robustZScores(xs)]));
+
+    const marked = rows.map((r, i) => {
+        const reasons = Object.keys(series)
+            .filter((k) => Math.abs(scores[k][i]) > policy.threshold)
+            .map((k) => `${k} z=${scores[k][i].toFixed(1)}`);
+        if (reasons.length) report.flagged.push({ epoch: r.epochId, reasons });
+        return { ...r, anomaly: reasons };
+    });
+
+    const fraction = marked.length ? report.flagged.length / marked.length : 0;
+    if (report.flagged.length) {
+        console.warn(`[anomaly] ${report.flagged.length}/${marked.length} epoch(s) anomalous:`,
+            report.flagged.map((f) => `${f.epoch} (${f.reasons.join(', ')})`).join('; '));
+    }
+    if (policy.maxFraction !== null && fraction > policy.maxFraction) {
+        throw new Error(
+            `${report.flagged.length}/${marked.length} epochs are anomalous (> ANOMALY_MAX_FRACTION=${policy.maxFraction}) — aborting`
+        );
+    }
+
+    const used = policy.mode === 'exclude' ? marked.filter((r) => !r.anomaly.length) : marked;
+    report.excluded = marked.length - used.length;
+    return { rows: marked, used, report };
+}
+
+function totalGasShare(r) {
+    return r.totalGasFee > 0n ? Number(r.comp) / Number(r.totalGasFee) : NaN;
+}
+
 /* -------------------------------- networking --------------------------------- */
 
+const GRAPHQL_TIMEOUT_MS = 30000;
+
+/**
+ * POST to the first GRAPHQL_URL that answers (see retry.js for the failover rules).
+ * Recorded / replayed per query and variables under FIXTURE_MODE (fixtures.js).
+ */
 async function postGraphQL(query, variables = {}) {
-    const res = await fetch(ENDPOINT, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ query, variables }),
-    });
-    if (!res.ok) {
-        const text = await res.text().catch(() => '');
-        throw new Error(`GraphQL HTTP ${res.status}: ${text}`);
+    const key = crypto.createHash('sha256').update(JSON.stringify({ query, variables })).digest('hex').slice(0, 16);
+    return recorded('graphql', key, { variables }, () => withRetry(async (url) => {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ query, variables }),
+            signal: AbortSignal.timeout(GRAPHQL_TIMEOUT_MS),
+        });
+        if (!res.ok) {
+            const text = await res.text().catch(() => '');
+            throw Object.assign(new Error(`GraphQL HTTP ${res.status}: ${text}`), { status: res.status });
+        }
+        const json = await res.json();
+        if (json.errors) throw new Error(`GraphQL errors: ${JSON.stringify(json.errors)}`);
+        return json.data;
+    }, { endpoints: getConfig().GRAPHQL_URL, label: 'GraphQL' }));
+}
+
+/**
+ * Page backwards through epoch history with the `before` cursor, newest page first.
+ * `nextPage(nodes)` sizes the next request from the nodes collected so far (oldest first);
+ * 0 stops, as does the start of the history.
+ * @returns {Promise<Array<Object>>} epoch nodes, oldest first
+ */
+async function fetchEpochPages(nextPage, label) {
+    const nodes = [];
+    let before = null;
+    for (let last = nextPage(nodes); last > 0; last = nextPage(nodes)) {
+        const data = await postGraphQL(EPOCH_PAGE_QUERY, { last, before });
+        const page = data?.epochs;
+        if (!Array.isArray(page?.nodes)) {
+            throw new Error('response missing epochs.nodes array');
+        }
+        nodes.unshift(...page.nodes);
+        console.log(`[info] fetched ${nodes.length} epoch node(s) ${label}`);
+
+        if (!page.pageInfo?.hasPreviousPage || !page.pageInfo?.startCursor) break;
+        before = page.pageInfo.startCursor;
     }
-    const json = await res.json();
-    if (json.errors) throw new Error(`GraphQL errors: ${JSON.stringify(json.errors)}`);
-    return json.data;
+    return nodes;
+}
+
+/** Fetch the most recent `count` epoch nodes, oldest first. */
+async function fetchEpochHistory(count, pageSize = EPOCH_PAGE_SIZE) {
+    return fetchEpochPages((nodes) => Math.min(pageSize, count - nodes.length), `of ${count}`);
+}
+
+/** Fetch epoch nodes back to the first one that started at or before `fromMs`, oldest first. */
+async function fetchEpochsSince(fromMs, pageSize = EPOCH_PAGE_SIZE) {
+    const reached = (nodes) => nodes.length > 0 && Date.parse(nodes[0].startTimestamp) <= fromMs;
+    return fetchEpochPages((nodes) => (reached(nodes) ? 0 : pageSize), `back to ${new Date(fromMs).toISOString()}`);
+}
+
+/**
+ * Cheap probe of the in-progress epoch, used by the epoch scheduler.
+ * @returns {Promise<{ epochId: number, startTimestampMs: number }>}
+ */
+async function fetchCurrentEpoch() {
+    const data = await postGraphQL(CURRENT_EPOCH_QUERY);
+    const epochId = Number(data?.epoch?.epochId);
+    const startTimestampMs = Date.parse(data?.epoch?.startTimestamp);
+    if (!Number.isFinite(epochId) || !Number.isFinite(startTimestampMs)) {
+        throw new Error(`current epoch response incomplete: ${JSON.stringify(data?.epoch ?? null)}`);
+    }
+    return { epochId, startTimestampMs };
 }
 
 /* ------------------------------- core logic ---------------------------------- */
@@ -163,6 +347,7 @@ function extractEpoch(node) {
         epochId,
         startDate: isoDateOnly(startTimestamp),
         endDate: isoDateOnly(endTimestamp),
+        inProgress: !endTimestamp,
         txCount,
         totalGasFee,
         comp,
@@ -173,7 +358,7 @@ function extractEpoch(node) {
     };
 }
 
-function summarize(rows) {
+function summarize(rows, aggregation = readAggregation()) {
     const r = rows.filter(Boolean);
     if (!r.length) return { rows: r, overall: null };
 
@@ -188,7 +373,11 @@ function summarize(rows) {
         r.reduce((s, x) => s + x.avgCompPerTx, 0n) / BigInt(r.length);
 
     const pctToNum = (s) => (s === 'N/A' ? NaN : Number(s.replace('%', '')));
-    const avgCompSharePct = averageNumbers(r.map((x) => pctToNum(x.compSharePct)));
+    // Weighted by gas fees, tx_weighted gives total comp / total gas fees
+    const avgCompSharePct = aggregate(
+        r.map((x) => ({ value: totalGasShare(x) * 100, weight: Number(x.totalGasFee), epochId: x.epochId })),
+        aggregation.compShare
+    );
     const avgGasOverRewardsPct = averageNumbers(r.map((x) => pctToNum(x.gasOverRewardsPct)));
 
     const avgPrice = averageNumbers(r.map((x) => (typeof x.price_usd === 'number' ? x.price_usd : NaN)));
@@ -197,11 +386,18 @@ function summarize(rows) {
             ? mistToSuiNumber(x.avgTotalPerTx) * x.price_usd
             : NaN))
     );
-    const avgCompPerTxUSD = averageNumbers(
-        r.map((x) => (typeof x.price_usd === 'number'
-            ? mistToSuiNumber(x.avgCompPerTx) * x.price_usd
-            : NaN))
+    const avgCompPerTxUSD = aggregate(
+        r.map((x) => ({
+            value: typeof x.price_usd === 'number' ? mistToSuiNumber(x.avgCompPerTx) * x.price_usd : NaN,
+            weight: x.txCount,
+            epochId: x.epochId,
+        })),
+        aggregation.compCostUsd
     );
+    const aggregationLabels = {
+        compShare: describeAggregation(aggregation.compShare),
+        compCostUsd: describeAggregation(aggregation.compCostUsd),
+    };
 
     const overall = {
         epochsIncluded: r.length,
@@ -217,6 +413,7 @@ function summarize(rows) {
         avgTotalGasOverRewardsPct: Number.isFinite(avgGasOverRewardsPct)
             ? `${avgGasOverRewardsPct.toFixed(2)}%`
             : 'N/A',
+        aggregation: aggregationLabels, // methods behind avgCompSharePct / avgComputationCostPerTx_USD
 
         // Numeric convenience copies for programmatic use in RGP calc:
         _num: {
@@ -233,12 +430,13 @@ function summarize(rows) {
     return { rows: r, overall };
 }
 
-function attachPrice(rows, priceMap) {
+function attachPrice(rows, priceMap, sourceMap = {}) {
     return rows.map((r) => {
-        const p =
-            (r.endDate && priceMap[r.endDate]) ??
-            (r.startDate && priceMap[r.startDate]) ??
+        const priceDate =
+            (r.endDate && priceMap[r.endDate] != null && r.endDate) ||
+            (r.startDate && priceMap[r.startDate] != null && r.startDate) ||
             null;
+        const p = priceDate ? priceMap[priceDate] : null;
 
         const priceNum = p === null ? null : Number(p);
         const avgTotalPerTx_USD =
@@ -249,12 +447,75 @@ function attachPrice(rows, priceMap) {
         return {
             ...r,
             price_usd: priceNum === null ? 'N/A' : priceNum,
+            price_source: priceDate ? (sourceMap[priceDate] ?? 'unknown') : 'N/A',
             avgTotalPerTx_USD,
             avgCompPerTx_USD,
         };
     });
 }
 
+/* -------------------------------- lookback window ------------------------------- */
+
+/** Window settings from config (validated in config.js), with the date range as timestamps. */
+function readWindow(config = getConfig()) {
+    const from = config.METRICS_WINDOW_FROM;
+    const to = config.METRICS_WINDOW_TO;
+    const bareDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+    return {
+        mode: from ? 'range' : 'epochs',
+        epochs: from ? null : config.METRICS_WINDOW_EPOCHS,
+        from,
+        to,
+        fromMs: from ? Date.parse(from) : null,
+        toMs: to ? Date.parse(to) + (bareDate(to) ? DAY_MS - 1 : 0) : null, // inclusive
+        currentEpoch: config.METRICS_CURRENT_EPOCH,
+    };
+}
+
+/** Fetch enough epoch nodes (oldest first) to cover the window and the in-progress epoch. */
+async function fetchWindowNodes(window) {
+    if (window.mode === 'epochs') return fetchEpochHistory(window.epochs + 1);
+    const nodes = await fetchEpochsSince(window.fromMs);
+    if (nodes.length && Date.parse(nodes[0].startTimestamp) > window.fromMs) {
+        console.warn(`[warn] epoch history starts at ${nodes[0].startTimestamp}, after METRICS_WINDOW_FROM=${window.from}`);
+    }
+    return nodes;
+}
+
+/**
+ * Pick the window's epochs out of the fetched nodes. The in-progress epoch (no end timestamp)
+ * is, with currentEpoch 'include', the window's last epoch when it falls inside it; with
+ * 'exclude' it is left out and the window is completed epochs only.
+ * @returns {{ selected: Array<Object>, current: Object|null, currentIncluded: boolean }}
+ */
+function selectWindow(nodes, window) {
+    const current = nodes.find((n) => n && !n.endTimestamp) ?? null;
+    const completed = nodes.filter((n) => n && n.endTimestamp);
+    const inRange = (n) => {
+        const start = Date.parse(n.startTimestamp);
+        return start >= window.fromMs && (window.toMs === null || start <= window.toMs);
+    };
+    const currentIncluded = !!current && window.currentEpoch === 'include' && (window.mode === 'epochs' || inRange(current));
+    const completedWanted = window.mode === 'epochs' ? window.epochs - (currentIncluded ? 1 : 0) : null;
+    const selected = window.mode === 'epochs'
+        ? completed.slice(Math.max(0, completed.length - completedWanted))
+        : completed.filter(inRange);
+    if (currentIncluded) selected.push(current);
+    return { selected, current, currentIncluded };
+}
+
+/** One line for logs and reports, e.g. "last 28 epoch(s) (785–812), current epoch 812 included, in progress". */
+function describeWindow(w) {
+    if (!w) return 'unknown';
+    const span = w.mode === 'epochs'
+        ? `last ${w.epochs} ${w.currentEpochIncluded ? '' : 'completed '}epoch(s)`
+        : `epochs started ${w.from} – ${w.to ?? 'now'}`;
+    const current = w.currentEpochId === null
+        ? 'no epoch in progress'
+        : `current epoch ${w.currentEpochId} ${w.currentEpochIncluded ? 'included, in progress' : 'excluded'}`;
+    return `${span} (${w.firstEpoch}–${w.lastEpoch}), ${current}`;
+}
+
 function getLatestEpochRGP(rawNodes) {
     // Find the node with the maximum epochId that has a referenceGasPrice
     let latest = null;
@@ -264,59 +525,80 @@ function getLatestEpochRGP(rawNodes) {
             latest = n;
         }
     }
-    if (!latest) return { epochId: null, referenceGasPrice: null };
+    if (!latest) return { epochId: null, referenceGasPrice: null, startTimestampMs: null };
     const rgpNum = Number(latest.referenceGasPrice);
+    const startMs = Date.parse(latest.startTimestamp);
     return {
         epochId: Number(latest.epochId),
         referenceGasPrice: Number.isFinite(rgpNum) ? rgpNum : null,
+        startTimestampMs: Number.isFinite(startMs) ? startMs : null,
     };
 }
 
 /**
  * Collect metrics and return a structured payload for downstream RGP calculations.
- * If METRICS_OUT_JSON is set, also writes the payload as JSON to that path.
+ * If METRICS_OUT_JSON is set, also writes the payload as JSON to that path (unless `saveJson` is false).
  */
-async function collectMetrics() {
-    console.log(`[info] endpoint: ${ENDPOINT}`);
+async function collectMetrics({ saveJson = true } = {}) {
+    const config = getConfig();
+    console.log(`[info] ${config.SUI_NETWORK} endpoint: ${requireSetting(config, 'GRAPHQL_URL').join(', ')}`);
     console.log('[info] fetching epochs and SUI prices…');
 
-    // Price map first (120 days to be safe for date joins)
-    const priceMap = await getSuiDailyPriceMap(120);
-    console.log(`[info] loaded ${Object.keys(priceMap).length} daily SUI prices`);
-
-    // Epochs
-    let data;
+    // Epochs: the window plus the in-progress epoch (current RGP)
+    const window = readWindow(config);
+    let nodes;
     try {
-        data = await postGraphQL(QUERY);
+        nodes = await fetchWindowNodes(window);
     } catch (e) {
         console.error('[error] GraphQL request failed:', e.message);
         throw e;
     }
-
-    const nodes = data?.epochs?.nodes;
-    if (!Array.isArray(nodes)) {
-        const err = new Error('response missing epochs.nodes array');
-        console.error('[error]', err.message);
-        throw err;
-    }
     console.log(`[info] received ${nodes.length} epoch node(s)`);
 
-    const extracted = nodes.map(extractEpoch).filter(Boolean);
+    const { selected, current, currentIncluded } = selectWindow(nodes, window);
+    const extracted = selected.map(extractEpoch).filter(Boolean);
     console.log(`[info] usable epochs with rollingGasSummary & txCount: ${extracted.length}`);
     if (!extracted.length) {
-        const err = new Error('no usable epochs — nothing to compute');
+        const err = new Error('no usable epochs in the lookback window — nothing to compute');
         console.error('[error]', err.message);
         throw err;
     }
 
-    // Attach price and build display table
-    const withPrice = attachPrice(extracted, priceMap);
+    // Prices for every day the window spans (+2 for date joins at the edges)
+    const oldestMs = Date.parse(selected[0].startTimestamp);
+    const priceDays = Math.ceil((Date.now() - oldestMs) / DAY_MS) + 2;
+    const { prices: priceMap, sources: priceSources } = await getSuiDailyPrices(priceDays);
+    console.log(`[info] loaded ${Object.keys(priceMap).length} daily SUI prices (${priceDays} day(s))`);
+
+    const windowInfo = {
+        mode: window.mode,
+        epochs: window.epochs,
+        from: window.from,
+        to: window.to,
+        currentEpoch: window.currentEpoch,
+        currentEpochId: current ? Number(current.epochId) : null,
+        currentEpochIncluded: currentIncluded,
+        firstEpoch: Number(extracted[0].epochId),
+        lastEpoch: Number(extracted[extracted.length - 1].epochId),
+        priceDays,
+    };
+    console.log(`[info] window: ${describeWindow(windowInfo)}`);
+
+    // Attach price, flag anomalies and build display table
+    const priced = attachPrice(extracted, priceMap, priceSources);
+    const { rows: withPrice, used, report: anomalies } = applyAnomalyPolicy(priced);
+    if (!used.length) {
+        const err = new Error('every epoch was excluded as anomalous — nothing to compute');
+        console.error('[error]', err.message);
+        throw err;
+    }
 
     const perEpochTable = withPrice.map((e) => ({
         epoch: e.epochId,
         start: e.startDate,
-        end: e.endDate,
+        end: e.inProgress ? 'in progress' : e.endDate,
         price_usd: e.price_usd,
+        price_source: e.price_source,
         txCount: e.txCount,
         totalGas_SUI: mistToSuiString(e.totalGasFee, 6),
         computation_SUI: mistToSuiString(e.comp, 6),
@@ -328,9 +610,12 @@ async function collectMetrics() {
             typeof e.avgCompPerTx_USD === 'number' ? Number(e.avgCompPerTx_USD).toFixed(6) : 'N/A',
         '%comp_of_total': e.compSharePct,
         '%(totalGas / stakeRewards)': e.gasOverRewardsPct,
+        anomaly: e.anomaly?.length
+            ? `${anomalies.mode === 'exclude' ? 'excluded: ' : ''}${e.anomaly.join(', ')}`
+            : '',
     }));
 
-    const { overall } = summarize(withPrice);
+    const { overall } = summarize(used);
     const latest = getLatestEpochRGP(nodes);
 
     const payload = {
@@ -338,21 +623,26 @@ async function collectMetrics() {
         latestEpoch: {
             epochId: latest.epochId,
             referenceGasPrice: latest.referenceGasPrice, // MIST
+            startTimestampMs: latest.startTimestampMs,
         },
+        window: windowInfo,
         perEpoch: perEpochTable,
+        anomalies,
         overall,
         // Narrow object that your RGP script can read directly:
         overallForRgp: {
             avgTotalCostPerTx_USD: overall._num.avgTotalCostPerTx_USD,          // number
             avgComputationCostPerTx_USD: overall._num.avgComputationCostPerTx_USD, // number
             avgCompShare: overall._num.avgCompShare,                            // decimal (e.g., 0.6049)
+            avgPriceUSD: overall._num.avgPriceUSD,                              // number
             lastEpochReferenceGasPrice: latest.referenceGasPrice,               // MIST
+            aggregation: overall.aggregation,                                   // { compShare, compCostUsd }
         },
     };
 
     // Optional JSON dump
-    const outPath = process.env.METRICS_OUT_JSON;
-    if (outPath) {
+    const outPath = getConfig().METRICS_OUT_JSON;
+    if (outPath && saveJson) {
         const fs = require('fs');
         fs.writeFileSync(outPath, JSON.stringify(payload, null, 2));
         console.log(`[info] wrote ${outPath}`);
@@ -370,7 +660,7 @@ async function main() {
     console.log('\n=== Per-epoch metrics (SUI, USD, %, + price) ===');
     console.table(result.perEpoch);
 
-    console.log('\n=== All-epoch simple averages (excluding N/A) ===');
+    console.log('\n=== All-epoch aggregates (excluding N/A) ===');
     console.log([result.overall]);
 
     console.log('\n=== Latest epoch RGP (from same query) ===');
@@ -387,4 +677,15 @@ if (require.main === module) {
     });
 }
 
-module.exports = { collectMetrics };
\ No newline at end of file
+module.exports = {
+    collectMetrics,
+    fetchEpochHistory,
+    fetchCurrentEpoch,
+    describeWindow,
+    extractEpoch,
+    attachPrice,
+    summarize,
+    readAggregation,
+    applyAnomalyPolicy,
+    mistToSuiString,
+};
\ No newline at end of file
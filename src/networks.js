@@ -0,0 +1,63 @@
+/**
+ * networks.js
+ *
+ * Built-in network profiles: the endpoints a network uses unless configured otherwise.
+ *
+ *   mainnet | testnet | devnet - the public Mysten endpoints and the suiscan explorer
+ *   localnet                   - `sui start --with-graphql` on this machine (no explorer)
+ *
+ * Any other name (lowercase letters and digits) is a custom network with no profile: its
+ * GRAPHQL_URL and RPC_URL must be configured (see checkConfig in config.js).
+ *
+ * The network is chosen with SUI_NETWORK or `--network <name>`; config.js applies the
+ * profile as defaults and lets any setting be overridden per network as <NETWORK>_<NAME>.
+ */
+
+const NETWORK_NAME = /^[a-z][a-z0-9]*$/;
+
+/** `{digest}` in explorerTxUrl is replaced by the transaction digest. */
+const PROFILES = {
+    mainnet: {
+        graphqlUrl: 'https://graphql.mainnet.sui.io/graphql',
+        rpcUrl: 'https://fullnode.mainnet.sui.io:443',
+        explorerTxUrl: 'https://suiscan.xyz/mainnet/tx/{digest}',
+    },
+    testnet: {
+        graphqlUrl: 'https://graphql.testnet.sui.io/graphql',
+        rpcUrl: 'https://fullnode.testnet.sui.io:443',
+        explorerTxUrl: 'https://suiscan.xyz/testnet/tx/{digest}',
+    },
+    devnet: {
+        graphqlUrl: 'https://graphql.devnet.sui.io/graphql',
+        rpcUrl: 'https://fullnode.devnet.sui.io:443',
+        explorerTxUrl: 'https://suiscan.xyz/devnet/tx/{digest}',
+    },
+    localnet: {
+        graphqlUrl: 'http://127.0.0.1:9125/graphql',
+        rpcUrl: 'http://127.0.0.1:9000',
+        explorerTxUrl: null,
+    },
+};
+
+/** @returns {{graphqlUrl, rpcUrl, explorerTxUrl}|null} null for a custom network */
+function networkProfile(name) {
+    return PROFILES[name] ?? null;
+}
+
+/** Prefix for per-network setting names: 'testnet' → 'TESTNET_'. */
+function networkPrefix(name) {
+    return `${name.toUpperCase()}_`;
+}
+
+/** Explorer link from an EXPLORER_TX_URL template; the bare digest when the network has no explorer. */
+function txExplorerUrl(digest, template) {
+    return template ? template.replaceAll('{digest}', digest) : digest;
+}
+
+module.exports = {
+    NETWORK_NAME,
+    PROFILES,
+    networkProfile,
+    networkPrefix,
+    txExplorerUrl,
+};
@@ -0,0 +1,116 @@
+/**
+ * notify.js
+ *
+ * Webhook notifications for run events.
+ *
+ * Events (NOTIFY_EVENTS enables them globally; a webhook's own `events` narrows it further):
+ *   submitted  - a new RGP landed on-chain: old → new, tx link
+ *   error      - a run or a validator's run failed (data fetch, calculation, tx failure, …)
+ *   clamp_hit  - the proposal was shaped by a guard rail or the absolute min/max
+ *   approval_pending - a change above APPROVAL_THRESHOLD_PCT is waiting for approve/reject
+ *
+ * NOTIFY_WEBHOOKS is a JSON array of:
+ *   { "url": "https://…", "format": "generic" | "slack" | "discord" | "telegram",
+ *     "chatId": "…",              // telegram only; url = https://api.telegram.org/bot<token>/sendMessage
+ *     "events": ["error"] }        // optional
+ *
+ * Payloads:
+ *   generic  → { event, title, text, data }
+ *   slack    → { text }            (incoming webhook)
+ *   discord  → { content }
+ *   telegram → { chat_id, text }
+ *
+ * notify() never throws: a failing webhook is logged and the run carries on.
+ * Nothing is sent while replaying fixtures (FIXTURE_MODE=replay).
+ */
+
+const axios = require('axios');
+const { getConfig } = require('./config');
+
+const HTTP_TIMEOUT_MS = 10000;
+
+const TITLES = {
+    submitted: '✅ RGP submitted',
+    error: '❌ RGP run failed',
+    clamp_hit: '⚠️ RGP proposal clamped',
+    approval_pending: '⏸ RGP change awaits approval',
+};
+
+const CLAMP_LABELS = {
+    min: 'lower guard rail',
+    max: 'upper guard rail',
+    abs_min: 'absolute minimum (RGP_MIN_MIST)',
+    abs_max: 'absolute maximum (RGP_MAX_MIST)',
+};
+
+/* --------------------------------- messages ---------------------------------- */
+
+function describe(event, d) {
+    const who = d.validator ? `[${d.validator}] ` : '';
+    const ep = d.epoch != null ? ` (epoch ${d.epoch})` : '';
+    switch (event) {
+        case 'submitted':
+            return `${who}RGP quote updated${ep}: ${d.oldRgpMist ?? '?'} → ${d.newRgpMist} MIST\n${d.txUrl ?? d.txDigest ?? ''}`.trim();
+        case 'error':
+            return `${who}run failed${ep}: ${d.error}`;
+        case 'clamp_hit':
+            return `${who}proposal hit the ${CLAMP_LABELS[d.clampHit] ?? d.clampHit}${ep}: ` +
+                `raw ${Math.round(d.rawRgpMist)} → final ${d.finalRgpMist} MIST (current ${d.currentRgpMist})`;
+        case 'approval_pending':
+            return `${who}${d.currentRgpMist} → ${d.proposedRgpMist} MIST (${d.changePct >= 0 ? '+' : ''}${d.changePct.toFixed(2)}%)${ep} ` +
+                `needs approval before ${d.expiresAt}`;
+        default:
+            return `${who}${event}${ep}`;
+    }
+}
+
+function payload(format, hook, event, data) {
+    const title = TITLES[event] ?? event;
+    const text = describe(event, data);
+    switch (format) {
+        case 'slack':
+            return { text: `*${title}*\n${text}` };
+        case 'discord':
+            return { content: `**${title}**\n${text}` };
+        case 'telegram':
+            return { chat_id: hook.chatId, text: `${title}\n${text}`, disable_web_page_preview: true };
+        default:
+            return { event, title, text, data };
+    }
+}
+
+/* ----------------------------------- send ------------------------------------ */
+
+/**
+ * Post `event` to every webhook subscribed to it.
+ * @param {'submitted'|'error'|'clamp_hit'|'approval_pending'} event
+ * @param {Object} data  Event fields (validator, epoch, …); see describe()
+ * @returns {Promise<number>} webhooks that accepted the post
+ */
+async function notify(event, data = {}) {
+    let config;
+    try {
+        config = getConfig();
+    } catch (e) {
+        console.error('[notify] config error, not sending:', e.message);
+        return 0;
+    }
+    if (!config.NOTIFY_EVENTS.includes(event) || config.FIXTURE_MODE === 'replay') return 0;
+    const hooks = config.NOTIFY_WEBHOOKS
+        .map((h, i) => ({ ...h, index: i + 1 }))
+        .filter((h) => !h.events || h.events.includes(event));
+    if (!hooks.length) return 0;
+
+    const results = await Promise.allSettled(hooks.map((h) =>
+        axios.post(h.url, payload(h.format ?? 'generic', h, event, data), { timeout: HTTP_TIMEOUT_MS })
+    ));
+    let sent = 0;
+    results.forEach((r, i) => {
+        if (r.status === 'fulfilled') sent++;
+        else console.error(`[notify] ${event} → webhook #${hooks[i].index} (${hooks[i].format ?? 'generic'}) failed: ${r.reason?.message || r.reason}`);
+    });
+    if (sent) console.log(`[notify] ${event} sent to ${sent}/${hooks.length} webhook(s)`);
+    return sent;
+}
+
+module.exports = { notify };
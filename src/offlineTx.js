@@ -0,0 +1,231 @@
+/**
+ * offlineTx.js
+ *
+ * Offline signing for request_set_gas_price (SIGNING_MODE=offline), for operation caps held
+ * by a multisig or a cold key: the runner builds the transaction but never holds a key.
+ *
+ *   1. build    the runner writes OFFLINE_TX_DIR/<validator>-<epoch>.json instead of submitting:
+ *               unsigned tx bytes (base64), digest and a readable summary
+ *   2. sign     each signer, on their own machine:
+ *                 sui keytool sign --address <signer> --data <txBytes>
+ *   3. combine  node src/offlineTx.js combine <file> <sig> [<sig> …]
+ *               merges partial signatures with MULTISIG_PUBLIC_KEYS / MULTISIG_THRESHOLD
+ *   4. submit   node src/offlineTx.js submit <file> [<signature>]
+ *               executes with the combined signature (or the one given), verifies the quote
+ *               and records the epoch in the run state like a signed run
+ *
+ *   node src/offlineTx.js show <file>   prints the summary again
+ *
+ * The tx pins a specific gas coin version: if that coin is spent in the meantime, build again.
+ * combine / submit refuse a file built for another network than the selected one (--network).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    buildUnsignedGasPriceTx,
+    combineMultisig,
+    executeSignedGasPriceTx,
+} = require('./updateGasPrice');
+const { txExplorerUrl } = require('./networks');
+const { getConfig, requireSetting, positionalArgs } = require('./config');
+const { recordEpoch } = require('./runState');
+const { notify } = require('./notify');
+const { auditRun } = require('./auditLog');
+const { localPath } = require('./fixtures');
+
+/* ----------------------------------- files ----------------------------------- */
+
+function txFile(config, name, epoch) {
+    return path.join(localPath(config, 'OFFLINE_TX_DIR'), `${name}-${epoch}.json`);
+}
+
+function readTxFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`cannot read offline tx ${file}: ${e.message}`);
+    }
+}
+
+function readTxFileFor(file, config) {
+    const record = readTxFile(file);
+    if (record.network !== config.SUI_NETWORK) {
+        throw new Error(`${file} was built for ${record.network}, not ${config.SUI_NETWORK}: run with --network ${record.network}`);
+    }
+    return record;
+}
+
+function writeTxFile(file, record) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(record, null, 2));
+}
+
+function printSummary(record, file) {
+    console.log(`\n=== Unsigned request_set_gas_price (${record.validator}, epoch ${record.epoch}) ===`);
+    console.table([{
+        sender: record.sender,
+        operationCapId: record.operationCapId,
+        quoteBefore: record.quoteBefore,
+        newGasPriceMist: record.proposedRgpMist,
+        gasBudgetMist: record.gasBudget,
+        estimatedGasMist: record.estimatedGasMist,
+        gasPriceMist: record.referenceGasPrice,
+        gasCoin: `${record.gasPayment.objectId}@${record.gasPayment.version}`,
+        digest: record.digest,
+    }]);
+    console.log(`file: ${file}`);
+    console.log(`sign: sui keytool sign --address <signer> --data ${record.txBytes}`);
+}
+
+/* ----------------------------------- build ----------------------------------- */
+
+/**
+ * Build and save the unsigned tx for one validator's proposal (the runner's offline mode).
+ * An unsubmitted file for the same epoch is kept as it is (even if this run proposed another
+ * value), so signatures already collected for it stay valid.
+ *
+ * @returns {Promise<{file: string, record: Object, reused: boolean}>}
+ */
+async function exportUnsignedTx({ config, validator, epoch, proposedRgpMist }) {
+    const file = txFile(config, validator.name, epoch);
+    if (fs.existsSync(file)) {
+        const existing = readTxFile(file);
+        if (!existing.submitted) {
+            console.log(`[offline:${validator.name}] keeping unsigned tx ${existing.digest} for epoch ${epoch} (RGP ${existing.proposedRgpMist} MIST)`);
+            printSummary(existing, file);
+            return { file, record: existing, reused: true };
+        }
+    }
+
+    if (!validator.signerAddress) {
+        throw new Error(`SIGNING_MODE=offline needs the signer address for '${validator.name}' (signerAddress / SIGNER_ADDRESS)`);
+    }
+    const operationCapId = validator.operationCapId || requireSetting(config, 'OPERATION_CAP_ID');
+    const built = await buildUnsignedGasPriceTx(requireSetting(config, 'RPC_URL'), {
+        sender: validator.signerAddress,
+        OpCapId: operationCapId,
+        gasBudget: validator.gasBudget ?? config.GAS_BUDGET,
+        gasPrice: proposedRgpMist,
+        budgetMode: config.GAS_BUDGET_MODE,
+        marginPct: config.GAS_BUDGET_MARGIN_PCT,
+    });
+
+    const record = {
+        validator: validator.name,
+        network: config.SUI_NETWORK,
+        epoch,
+        proposedRgpMist,
+        operationCapId,
+        gasBudget: built.gasBudget,
+        estimatedGasMist: built.preflight.estimatedGasMist,
+        sender: built.sender,
+        gasPayment: built.gasPayment,
+        referenceGasPrice: built.referenceGasPrice,
+        quoteBefore: built.quoteBefore.nextEpochGasPrice,
+        digest: built.digest,
+        txBytes: built.txBytes,
+        createdAt: new Date().toISOString(),
+        signature: null,
+        submitted: null,
+    };
+    writeTxFile(file, record);
+    printSummary(record, file);
+    return { file, record, reused: false };
+}
+
+/* ------------------------------ combine / submit ----------------------------- */
+
+function combine(file, signatures, config = getConfig()) {
+    if (!signatures.length) throw new Error('usage: combine <file> <signature> [<signature> …]');
+    if (!config.MULTISIG_PUBLIC_KEYS.length) throw new Error('MULTISIG_PUBLIC_KEYS is not set');
+    const record = readTxFileFor(file, config);
+    const { signature, address, weight } = combineMultisig(signatures, {
+        publicKeys: config.MULTISIG_PUBLIC_KEYS,
+        threshold: requireSetting(config, 'MULTISIG_THRESHOLD'),
+    });
+    if (address !== record.sender) {
+        throw new Error(`multisig address ${address} is not the tx sender ${record.sender}`);
+    }
+    writeTxFile(file, { ...record, signature });
+    console.log(`[offline:${record.validator}] combined ${signatures.length} signature(s), weight ${weight}/${config.MULTISIG_THRESHOLD} → ${file}`);
+    return signature;
+}
+
+async function submit(file, signature = null, config = getConfig()) {
+    const record = readTxFileFor(file, config);
+    const tag = `[offline:${record.validator}]`;
+    if (record.submitted) {
+        throw new Error(`${file} was already submitted (tx ${record.submitted.digest}, ${record.submitted.status}); the next run builds a new one`);
+    }
+    const sig = signature ?? record.signature;
+    if (!sig) throw new Error(`${file} has no signature: run combine, or pass one to submit`);
+
+    console.log(`${tag} submitting ${record.digest} (RGP ${record.proposedRgpMist} MIST, epoch ${record.epoch})…`);
+    const tx = await executeSignedGasPriceTx(requireSetting(config, 'RPC_URL'), {
+        txBytes: record.txBytes,
+        signature: sig,
+        OpCapId: record.operationCapId,
+        gasPrice: record.proposedRgpMist,
+    });
+
+    if (tx.digest) writeTxFile(file, { ...record, submitted: { digest: tx.digest, status: tx.status, at: new Date().toISOString() } });
+    const status = tx.ok ? 'submitted' : tx.status === 'success' ? 'unverified' : 'failed';
+    recordEpoch(record.epoch, {
+        proposedRgpMist: record.proposedRgpMist,
+        status,
+        txDigest: tx.digest,
+        error: tx.error,
+    }, record.validator);
+    auditRun(record.validator, {
+        status,
+        rgp: { epoch: record.epoch, proposedRgpMist: record.proposedRgpMist },
+        tx,
+    }, { trigger: 'offline_submit', config });
+
+    if (tx.ok) {
+        console.log(`${tag} ✅ RGP updated on-chain to`, record.proposedRgpMist, 'MIST');
+        await notify('submitted', {
+            validator: record.validator,
+            epoch: record.epoch,
+            oldRgpMist: tx.quoteBefore?.nextEpochGasPrice ?? record.quoteBefore,
+            newRgpMist: record.proposedRgpMist,
+            txDigest: tx.digest,
+            txUrl: txExplorerUrl(tx.digest, config.EXPLORER_TX_URL),
+        });
+    } else {
+        await notify('error', { validator: record.validator, epoch: record.epoch, error: tx.error ?? 'transaction failed' });
+        throw new Error(status === 'unverified' ? `tx ${tx.digest} landed but the quote could not be verified: ${tx.error}` : `submission failed: ${tx.error}`);
+    }
+    return tx;
+}
+
+/* ------------------------------------ CLI ------------------------------------ */
+
+async function main() {
+    const [cmd, file, ...rest] = positionalArgs();
+    if (!file) throw new Error('usage: node src/offlineTx.js show|combine|submit <file> [signature …] [--network <name>]');
+    switch (cmd) {
+        case 'show':
+            return printSummary(readTxFile(file), file);
+        case 'combine':
+            return combine(file, rest);
+        case 'submit':
+            return submit(file, rest[0] ?? null);
+        default:
+            throw new Error(`unknown command '${cmd}' (show | combine | submit)`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error('[offline]', e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    exportUnsignedTx,
+    combine,
+    submit,
+};
@@ -0,0 +1,161 @@
+/**
+ * priceProviders.js
+ *
+ * SUI/USD daily price backends. Every provider has the same shape:
+ *   { name, fetchHistory(days, opts?) -> Promise<Array<{ date: 'YYYY-MM-DD', priceUsd: number }>> }
+ *
+ * Backends (URLs are configurable, see config.js):
+ *   - coingecko : CoinGecko /coins/{id}/market_chart          (PRICE_COINGECKO_URL)
+ *   - kline     : Binance/OKX-style daily klines, close price  (PRICE_KLINE_URL)
+ *   - pyth      : Pyth-style TradingView history shim          (PRICE_PYTH_URL)
+ *   - file      : local CSV (`date,price`) or JSON file        (PRICE_FILE_PATH)
+ *
+ * Providers throw on transport/format errors; aggregation lives in suiPriceHistory.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 15000;
+
+/** A provider setting from config.js (defaults live in the schema there). */
+function setting(name) {
+    return getConfig()[name];
+}
+
+function toDate(tsMs) {
+    return new Date(Number(tsMs)).toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
+}
+
+/** Keep the last value seen per day, drop non-positive/non-numeric prices. */
+function dedupeByDate(rows) {
+    const byDate = new Map();
+    for (const r of rows) {
+        if (!r.date || !Number.isFinite(r.priceUsd) || r.priceUsd <= 0) continue;
+        byDate.set(r.date, r.priceUsd);
+    }
+    return [...byDate.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, priceUsd]) => ({ date, priceUsd }));
+}
+
+/* -------------------------------- coingecko ---------------------------------- */
+
+const coingecko = {
+    name: 'coingecko',
+    async fetchHistory(days, { coinId = setting('PRICE_COINGECKO_COIN_ID') } = {}) {
+        const base = setting('PRICE_COINGECKO_URL');
+        const apiKey = setting('PRICE_COINGECKO_API_KEY');
+        const headers = apiKey
+            ? { [setting('PRICE_COINGECKO_API_KEY_HEADER')]: apiKey }
+            : {};
+
+        const resp = await axios.get(`${base.replace(/\/$/, '')}/coins/${coinId}/market_chart`, {
+            params: { vs_currency: 'usd', days, interval: 'daily' },
+            headers,
+            timeout: HTTP_TIMEOUT_MS,
+        });
+
+        // prices is [[timestamp_ms, price], ...]
+        const prices = resp.data?.prices;
+        if (!Array.isArray(prices)) throw new Error('response missing prices array');
+        return dedupeByDate(prices.map(([ts, price]) => ({ date: toDate(ts), priceUsd: Number(price) })));
+    },
+};
+
+/* ---------------------------------- kline ------------------------------------ */
+
+/**
+ * Binance returns [[openTime, open, high, low, close, ...], ...];
+ * OKX returns { data: [[ts, open, high, low, close, ...], ...] } newest first.
+ * Both keep the close at index 4 and the open time (ms) at index 0.
+ */
+const kline = {
+    name: 'kline',
+    async fetchHistory(days) {
+        const url = new URL(setting('PRICE_KLINE_URL'));
+        if (!url.searchParams.has('limit')) url.searchParams.set('limit', String(days));
+
+        const resp = await axios.get(url.toString(), { timeout: HTTP_TIMEOUT_MS });
+        const candles = Array.isArray(resp.data) ? resp.data : resp.data?.data;
+        if (!Array.isArray(candles)) throw new Error('response is not a kline array');
+        return dedupeByDate(candles.map((c) => ({ date: toDate(c[0]), priceUsd: Number(c[4]) })));
+    },
+};
+
+/* ----------------------------------- pyth ------------------------------------ */
+
+const pyth = {
+    name: 'pyth',
+    async fetchHistory(days) {
+        const base = setting('PRICE_PYTH_URL');
+        const to = Math.floor(Date.now() / 1000);
+        const resp = await axios.get(base, {
+            params: {
+                symbol: setting('PRICE_PYTH_SYMBOL'),
+                resolution: '1D',
+                from: to - days * (DAY_MS / 1000),
+                to,
+            },
+            timeout: HTTP_TIMEOUT_MS,
+        });
+
+        // TradingView UDF shape: { s: 'ok', t: [sec, ...], c: [close, ...] }
+        const { s, t, c } = resp.data || {};
+        if (s !== 'ok' || !Array.isArray(t) || !Array.isArray(c)) {
+            throw new Error(`unexpected response status '${s}'`);
+        }
+        return dedupeByDate(t.map((sec, i) => ({ date: toDate(sec * 1000), priceUsd: Number(c[i]) })));
+    },
+};
+
+/* ----------------------------------- file ------------------------------------ */
+
+/**
+ * CSV: `date,price` per line (header optional).
+ * JSON: { 'YYYY-MM-DD': price } or [{ date, priceUsd | price }].
+ */
+const file = {
+    name: 'file',
+    async fetchHistory(days) {
+        const filePath = setting('PRICE_FILE_PATH');
+        if (!filePath) throw new Error('PRICE_FILE_PATH is not set');
+        const text = fs.readFileSync(filePath, 'utf8');
+
+        let rows;
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            const json = JSON.parse(text);
+            rows = Array.isArray(json)
+                ? json.map((r) => ({ date: r.date, priceUsd: Number(r.priceUsd ?? r.price) }))
+                : Object.entries(json).map(([date, price]) => ({ date, priceUsd: Number(price) }));
+        } else {
+            rows = text.split(/\r?\n/)
+                .map((line) => line.split(','))
+                .filter(([date]) => /^\d{4}-\d{2}-\d{2}$/.test((date || '').trim()))
+                .map(([date, price]) => ({ date: date.trim(), priceUsd: Number(price) }));
+        }
+
+        const since = toDate(Date.now() - days * DAY_MS);
+        return dedupeByDate(rows).filter((r) => r.date >= since);
+    },
+};
+
+const PROVIDERS = { coingecko, kline, pyth, file };
+
+/**
+ * Resolve a provider by name.
+ * @param {string} name
+ */
+function getProvider(name) {
+    const p = PROVIDERS[name];
+    if (!p) throw new Error(`Unknown price provider '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    return p;
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+};
@@ -1,50 +1,170 @@
-// pushgateway.js
+/**
+ * pushgateway.js
+ *
+ * Batched pushes to a Prometheus Pushgateway.
+ *
+ * Every push builds its own Registry (the global one is never touched), so a whole run's
+ * gauges go out in ONE request:
+ *
+ *   POST <PUSHGATEWAY_URL>/metrics/job/<PUSHGATEWAY_JOB>[/<grouping label>/<value>/…]
+ *
+ * PUSHGATEWAY_METHOD picks how the group is updated:
+ *   add     - POST (pushAdd, default, as before): replaces only the metrics pushed, so other
+ *             metrics in a shared group (job=platform) are left alone
+ *   replace - PUT (push): replaces the whole group; only safe with a grouping key of our own
+ *
+ * Labels:
+ *   PUSHGATEWAY_LABELS   - static labels on every push (JSON object)
+ *   PUSHGATEWAY_GROUPING - which labels form the grouping key (default none: /job/<job> as
+ *                          before); the rest stay as metric labels. With several validators
+ *                          it must contain `validator`, or their pushes replace each other
+ * A run adds `validator` and `network` to the static labels; `env` defaults to the network
+ * (SUI_NETWORK) unless PUSHGATEWAY_LABELS sets it. The Authorization header is
+ * sent only when PUSHGATEWAY_AUTH_HEADER is set. Without PUSHGATEWAY_URL nothing is pushed.
+ */
+
 const client = require('prom-client');
-require('dotenv').config();
+const { getConfig } = require('./config');
 
-const gateway = new client.Pushgateway(process.env.PUSHGATEWAY_URL, {
-    timeout: 5000,
-    headers: {
-        'Authorization': `Basic ${process.env.PUSHGATEWAY_AUTH_HEADER}`,
-    }
-  });
+const RUN_STATUSES = [
+    'computed', 'dry_run', 'proposed_only', 'unchanged', 'pending_approval', 'rejected', 'expired',
+    'awaiting_signature', 'submitted', 'unverified', 'failed', 'skipped', 'error',
+];
+const CLAMP_HITS = ['min', 'max', 'abs_min', 'abs_max'];
+
+/* ----------------------------------- push ------------------------------------ */
+
+function makeGateway(config, registry) {
+    const headers = config.PUSHGATEWAY_AUTH_HEADER
+        ? { Authorization: `Basic ${config.PUSHGATEWAY_AUTH_HEADER}` }
+        : {};
+    return new client.Pushgateway(config.PUSHGATEWAY_URL, { timeout: 5000, headers }, registry);
+}
 
 /**
- * Push a single gauge sample to Pushgateway using ONLY metric labels.
- * Works across prom-client versions because it uses the global registry.
+ * Push a batch of gauge samples in one request.
  *
  * @param {Object} opts
- * @param {string} opts.name   Metric name, e.g. 'sui_reference_gas_price_proposed_mist'
- * @param {string} opts.help   Help string
- * @param {Object} opts.labels Metric label values, e.g. { network:'mainnet', epoch:'882' }
- * @param {number} opts.value  Numeric metric value
- * @param {string} [opts.job='sui_rgp'] Pushgateway job name
+ * @param {Object} opts.labels  Run labels; split into grouping key + metric labels per PUSHGATEWAY_GROUPING
+ * @param {Array<{name:string, help:string, value:number, labels?:Object}>} opts.samples
+ *        Non-finite values are skipped. Samples with the same name must share label names.
+ * @returns {Promise<boolean>} false when pushing is disabled (no PUSHGATEWAY_URL, or replaying fixtures)
  */
-async function pushGauge({ name, help, labels = {}, value, job = 'platform' }) {
-    // Clean the global registry at the start to ensure a fresh state
-    client.register.clear();
-
-    const labelNames = Object.keys(labels);
+async function pushBatch({ labels = {}, samples }) {
+    const config = getConfig();
+    if (!config.PUSHGATEWAY_URL || config.FIXTURE_MODE === 'replay') return false;
 
-    // Create the gauge in the global registry (version-safe)
-    const gauge = new client.Gauge({ name, help, labelNames });
+    const all = { env: config.SUI_NETWORK, ...config.PUSHGATEWAY_LABELS, ...labels };
+    const groupings = {};
+    const common = {};
+    for (const [k, v] of Object.entries(all)) {
+        if (v === null || v === undefined) continue;
+        (config.PUSHGATEWAY_GROUPING.includes(k) ? groupings : common)[k] = String(v);
+    }
 
-    // Validate and set value
-    const v = Number(value);
-    if (!Number.isFinite(v)) throw new Error(`Invalid value for ${name}: ${value}`);
-    gauge.set(labels, v);
+    const registry = new client.Registry();
+    const gauges = new Map();
+    let count = 0;
+    for (const s of samples) {
+        const v = Number(s.value);
+        if (s.value === null || s.value === undefined || !Number.isFinite(v)) continue;
+        const sampleLabels = { ...common, ...s.labels };
+        if (!gauges.has(s.name)) {
+            gauges.set(s.name, new client.Gauge({
+                name: s.name,
+                help: s.help,
+                labelNames: Object.keys(sampleLabels),
+                registers: [registry],
+            }));
+        }
+        gauges.get(s.name).set(sampleLabels, v);
+        count++;
+    }
 
+    const job = config.PUSHGATEWAY_JOB;
+    const gateway = makeGateway(config, registry);
     try {
-        // Push to:  <PUSHGATEWAY_URL>/metrics/job/<job>
-        await gateway.pushAdd({ jobName: job });
-        console.log(`[pushgateway] pushed ${name}=${v} labels=${JSON.stringify(labels)} job=${job} at ${new Date().toISOString()}`);
+        await (config.PUSHGATEWAY_METHOD === 'replace' ? gateway.push : gateway.pushAdd).call(gateway, { jobName: job, groupings });
+        console.log(`[pushgateway] pushed ${count} samples job=${job} group=${JSON.stringify(groupings)} at ${new Date().toISOString()}`);
     } catch (err) {
         console.error('[pushgateway] push failed:', err?.message || err);
         throw err;
-    } finally {
-        // Clean the global registry so the next push starts fresh
-        client.register.clear();
     }
+    return true;
+}
+
+/* -------------------------------- run report --------------------------------- */
+
+/**
+ * Everything one validator's run produced, as samples for pushBatch().
+ *
+ * @param {Object} run
+ * @param {string} run.status        One of RUN_STATUSES
+ * @param {Object} [run.rgp]         computeRgp() result (absent when the run failed before computing)
+ * @param {Object} [run.metrics]     collectMetrics() payload
+ * @param {Object} [run.survey]      analyzeSurvey() result
+ * @param {Object} [run.tx]          updateGasPrice() result, when a tx was sent
+ * @param {Object} [run.preflight]   preflightGasPriceTx() result of a DRY_RUN (a sent tx carries its own)
+ */
+function runSamples({ status, rgp = null, metrics = null, survey = null, tx = null, preflight = tx?.preflight ?? null }) {
+    const calc = rgp?.calc ?? {};
+    const inputs = rgp?.inputs ?? {};
+    const o = metrics?.overallForRgp ?? {};
+    const g = (name, help, value, labels) => ({ name, help, value, labels });
+
+    const samples = [
+        g('sui_reference_gas_price_proposed_mist', 'Proposed reference gas price (MIST)', rgp?.proposedRgpMist),
+        g('sui_reference_gas_price_current_mist', 'Current reference gas price at time of proposal (MIST)', inputs.currentRgp ?? o.lastEpochReferenceGasPrice),
+        g('sui_rgp_latest_epoch', 'Latest epoch the metrics were computed from', metrics?.latestEpoch?.epochId),
+
+        // calc
+        g('sui_rgp_calc_k', 'Scale factor R_raw / R_now', calc.k),
+        g('sui_rgp_calc_raw_mist', 'Raw strategy proposal before guard rails (MIST)', calc.R_raw),
+        g('sui_rgp_calc_clamp_min_mist', 'Lower guard rail (MIST)', calc.clampMin),
+        g('sui_rgp_calc_clamp_max_mist', 'Upper guard rail (MIST)', calc.clampMax),
+        g('sui_rgp_calc_clamped_mist', 'Proposal after guard rails (MIST)', calc.R_clamped),
+        g('sui_rgp_calc_jitter_mist', 'Jitter drawn (MIST)', calc.jitter),
+        g('sui_rgp_calc_rounded_mist', 'Proposal after jitter and rounding (MIST)', calc.R_rounded),
+        g('sui_rgp_calc_final_mist', 'Final proposal after absolute min/max (MIST)', calc.R_final),
+
+        // aggregated inputs
+        g('sui_rgp_input_comp_share', 'Aggregated computation share of gas fees (0..1)', inputs.compShare ?? o.avgCompShare),
+        g('sui_rgp_input_comp_cost_usd', 'Aggregated computation cost per tx (USD)', inputs.compCostUsd ?? o.avgComputationCostPerTx_USD),
+        g('sui_rgp_input_avg_price_usd', 'Average SUI/USD price over the window', o.avgPriceUSD),
+        g('sui_rgp_input_target_avg_tx_usd', 'Target average fee per tx (USD)', inputs.targetAvgTxUsd),
+
+        // outcome
+        g('sui_rgp_run_timestamp_seconds', 'Unix time this run finished', Date.now() / 1000),
+        ...RUN_STATUSES.map((s) => g('sui_rgp_run_status', 'Outcome of the last run (1 = this status)', s === status ? 1 : 0, { status: s })),
+    ];
+
+    if (rgp) {
+        samples.push(...CLAMP_HITS.map((h) => g('sui_rgp_clamp_hit', 'Limit that shaped the final value (1 = hit)', calc.clampHit === h ? 1 : 0, { limit: h })));
+    }
+    if (tx) {
+        samples.push(g('sui_rgp_tx_success', 'Last submission landed and verified (1) or not (0)', tx.ok ? 1 : 0));
+        samples.push(g('sui_rgp_tx_gas_used_mist', 'Net gas used by the last submission (MIST)', tx.gasUsed?.netMist));
+    }
+    if (preflight) {
+        samples.push(g('sui_rgp_preflight_ok', 'Pre-flight checks passed (1) or not (0)', preflight.ok ? 1 : 0));
+        samples.push(g('sui_rgp_preflight_estimated_gas_mist', 'Dry-run gas estimate, computation + storage (MIST)', preflight.estimatedGasMist));
+        samples.push(g('sui_rgp_preflight_gas_budget_mist', 'Gas budget the submission uses (MIST)', preflight.gasBudget));
+        samples.push(g('sui_rgp_signer_balance_mist', 'SUI balance of the signing address (MIST)', preflight.balanceMist));
+    }
+    if (survey) {
+        samples.push(g('sui_reference_gas_price_survey_predicted_mist', 'Survey RGP from next-epoch quotes with our proposal applied (MIST)', survey.rgpWithProposal));
+        samples.push(g('sui_reference_gas_price_proposal_rank', 'Rank of our proposal among next-epoch quotes (1 = lowest)', survey.proposalRank));
+    }
+    return samples;
+}
+
+/**
+ * Push one validator's run as a single group.
+ * @param {Object} labels  e.g. { validator, network }
+ * @param {Object} run     See runSamples()
+ */
+async function pushRunMetrics(labels, run) {
+    return pushBatch({ labels, samples: runSamples(run) });
 }
 
-module.exports = { pushGauge };
\ No newline at end of file
+module.exports = { pushBatch, pushRunMetrics, runSamples, RUN_STATUSES };
@@ -0,0 +1,208 @@
+/**
+ * report.js
+ *
+ * Per-run report for publishing the RGP reasoning (REPORT_DIR; off when unset).
+ *
+ * Each run writes one self-contained file per REPORT_FORMATS entry (markdown → .md, html → .html):
+ *   - the lookback window, the aggregates the proposal was computed from and the per-epoch table
+ *   - per validator: the inputs, every calc step from R_raw to R_final, and the decision
+ *     (status, tx link, pending approval, pre-flight, error)
+ * plus the per-epoch rows as CSV (csv.js). Files are named
+ *   REPORT_DIR/rgp-<network>-epoch<epoch>-<UTC timestamp>.{md,html,csv}
+ * so re-runs in the same epoch never overwrite an earlier report.
+ *
+ * A report that cannot be written is logged; it never fails the run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toCsv } = require('./csv');
+const { getConfig } = require('./config');
+const { txExplorerUrl } = require('./networks');
+const { describeWindow } = require('./metrics');
+const { localPath } = require('./fixtures');
+
+const EXTENSIONS = { markdown: 'md', html: 'html' };
+
+/** The calc fields in pipeline order, with what each step is. */
+const CALC_STEPS = [
+    ['C_target', 'target computation cost per tx (USD)'],
+    ['k', 'scale factor'],
+    ['R_raw', 'raw proposal from the strategy (MIST)'],
+    ['clampMin', 'lower guard rail (MIST)'],
+    ['clampMax', 'upper guard rail (MIST)'],
+    ['R_clamped', 'after the guard rails'],
+    ['jitterSource', 'where the jitter draw came from (random, seed, validator)'],
+    ['jitterSeed', 'seed hashed with the epoch (seeded jitter only)'],
+    ['jitterDraw', 'draw in [0, 1) mapped onto the allowed jitter range'],
+    ['jitter', 'jitter drawn (MIST)'],
+    ['R_rounded', 'after jitter and rounding to RGP_ROUND_STEP'],
+    ['R_final', 'after the absolute min/max: the proposal'],
+    ['clampHit', 'limit that shaped the result, if any'],
+];
+
+/* ---------------------------------- content ---------------------------------- */
+
+// A report is a list of blocks: { heading }, { text }, { table: rows }; each renderer walks it.
+
+const display = (v) => (v === null || v === undefined || v === '' ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+function keyValueRows(obj, label) {
+    return Object.entries(obj ?? {}).map(([key, value]) => ({ [label]: key, value: display(value) }));
+}
+
+function decisionRows(config, report, error) {
+    const tx = report.tx ?? null;
+    const digest = tx?.digest ?? report.txDigest ?? null;
+    const rows = [{ item: 'status', value: report.status ?? 'error' }];
+    if (digest) rows.push({ item: 'transaction', value: txExplorerUrl(digest, config.EXPLORER_TX_URL) });
+    if (tx?.quoteBefore) rows.push({ item: 'quote before', value: tx.quoteBefore.nextEpochGasPrice });
+    if (tx?.quoteAfter) rows.push({ item: 'quote after', value: tx.quoteAfter.nextEpochGasPrice });
+    if (report.pending) rows.push({ item: 'awaiting approval until', value: report.pending.expiresAt });
+    const preflight = tx?.preflight ?? report.preflight ?? null;
+    if (preflight) rows.push({ item: 'pre-flight', value: preflight.ok ? `ok (estimated gas ${preflight.estimatedGasMist} MIST)` : preflight.error });
+    if (error || tx?.error) rows.push({ item: 'error', value: error ?? tx.error });
+    return rows;
+}
+
+function validatorBlocks(config, { name, report, error }) {
+    const rgp = report.rgp ?? null;
+    const blocks = [{ heading: `Validator ${name}`, level: 2 }];
+    if (!rgp) {
+        blocks.push({ text: `No proposal was computed (status: ${report.status ?? 'error'}${error ? `, ${error}` : ''}).` });
+        return blocks;
+    }
+    blocks.push({
+        text: `Proposed ${rgp.proposedRgpMist} MIST for epoch ${rgp.epoch ?? 'unknown'} ` +
+            `(current RGP ${rgp.inputs.currentRgp} MIST, strategy ${rgp.calc.strategy}).`,
+    });
+    blocks.push({ heading: 'Inputs', level: 3 }, { table: keyValueRows(rgp.inputs, 'input') });
+    blocks.push({ heading: 'Calculation', level: 3 }, {
+        table: [
+            ...CALC_STEPS.map(([step, meaning]) => ({ step, value: display(rgp.calc[step]), meaning })),
+            { step: 'strategyDetails', value: display(rgp.calc.strategyDetails), meaning: `${rgp.calc.strategy} strategy internals` },
+        ],
+    });
+    if (report.survey) {
+        blocks.push({ heading: 'Validator survey', level: 3 }, { table: keyValueRows(report.survey, 'field') });
+    }
+    blocks.push({ heading: 'Decision', level: 3 }, { table: decisionRows(config, report, error) });
+    return blocks;
+}
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.config
+ * @param {Object} opts.metrics       collectMetrics() payload
+ * @param {Array<{name: string, report: Object, error: string|null}>} opts.validators
+ * @param {Date} [opts.generatedAt]
+ */
+function buildReport({ config, metrics, validators, generatedAt = new Date() }) {
+    const { _num, aggregation, ...overall } = metrics.overall ?? {};
+    const epoch = metrics.latestEpoch?.epochId ?? 'unknown';
+    const blocks = [
+        { heading: `RGP report — ${config.SUI_NETWORK}, epoch ${epoch}`, level: 1 },
+        { text: `Generated ${generatedAt.toISOString()} from metrics fetched at ${metrics.generatedAt ?? 'unknown'}. ` +
+            `Latest epoch ${epoch}, reference gas price ${metrics.latestEpoch?.referenceGasPrice ?? 'unknown'} MIST. ` +
+            `Lookback window: ${describeWindow(metrics.window)}.` },
+        { heading: 'Aggregates', level: 2 },
+        { table: keyValueRows({ ...overall, compShareAggregation: aggregation?.compShare, compCostAggregation: aggregation?.compCostUsd }, 'metric') },
+    ];
+    if (metrics.anomalies?.flagged?.length) {
+        blocks.push({ text: `Anomalies (${metrics.anomalies.mode}): ` +
+            metrics.anomalies.flagged.map((f) => `epoch ${f.epoch} (${f.reasons.join(', ')})`).join('; ') });
+    }
+    blocks.push({ heading: 'Per-epoch metrics', level: 2 }, { table: metrics.perEpoch ?? [] });
+    for (const v of validators) blocks.push(...validatorBlocks(config, v));
+    return blocks;
+}
+
+/* --------------------------------- renderers --------------------------------- */
+
+function mdCell(v) {
+    return display(v).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdown(blocks) {
+    const out = [];
+    for (const b of blocks) {
+        if (b.heading) out.push(`${'#'.repeat(b.level)} ${b.heading}`, '');
+        else if (b.text) out.push(b.text, '');
+        else if (b.table) {
+            if (!b.table.length) {
+                out.push('_(none)_', '');
+                continue;
+            }
+            const columns = Object.keys(b.table[0]);
+            out.push(`| ${columns.map(mdCell).join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+            for (const row of b.table) out.push(`| ${columns.map((c) => mdCell(row[c])).join(' | ')} |`);
+            out.push('');
+        }
+    }
+    return out.join('\n');
+}
+
+function escapeHtml(v) {
+    return display(v).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }
+th { background: #f3f3f3; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2rem; }`;
+
+function toHtml(blocks) {
+    const title = blocks.find((b) => b.heading)?.heading ?? 'RGP report';
+    const body = blocks.map((b) => {
+        if (b.heading) return `<h${b.level}>${escapeHtml(b.heading)}</h${b.level}>`;
+        if (b.text) return `<p>${escapeHtml(b.text)}</p>`;
+        if (!b.table.length) return '<p><em>(none)</em></p>';
+        const columns = Object.keys(b.table[0]);
+        const head = `<tr>${columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('')}</tr>`;
+        const rows = b.table.map((row) => `<tr>${columns.map((c) => `<td>${escapeHtml(row[c])}</td>`).join('')}</tr>`);
+        return `<table>\n${head}\n${rows.join('\n')}\n</table>`;
+    });
+    return `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n` +
+        `<style>${HTML_STYLE}\n</style>\n</head>\n<body>\n${body.join('\n')}\n</body>\n</html>\n`;
+}
+
+const RENDERERS = { markdown: toMarkdown, html: toHtml };
+
+/* ----------------------------------- write ----------------------------------- */
+
+/**
+ * Write the run's report(s) and per-epoch CSV to REPORT_DIR.
+ * @returns {string[]} files written (empty when REPORT_DIR is unset or writing failed)
+ */
+function writeRunReport({ config = getConfig(), metrics, validators, generatedAt = new Date() }) {
+    const dir = localPath(config, 'REPORT_DIR');
+    if (!dir || !metrics) return [];
+    const epoch = metrics.latestEpoch?.epochId ?? 'unknown';
+    const stamp = generatedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const base = path.join(dir, `rgp-${config.SUI_NETWORK}-epoch${epoch}-${stamp}`);
+    const written = [];
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        const blocks = buildReport({ config, metrics, validators, generatedAt });
+        for (const format of config.REPORT_FORMATS) {
+            const file = `${base}.${EXTENSIONS[format]}`;
+            fs.writeFileSync(file, RENDERERS[format](blocks));
+            written.push(file);
+        }
+        fs.writeFileSync(`${base}.csv`, toCsv(metrics.perEpoch ?? []));
+        written.push(`${base}.csv`);
+        console.log(`[report] wrote ${written.join(', ')}`);
+    } catch (e) {
+        console.error('[report] could not write the run report:', e.message);
+    }
+    return written;
+}
+
+module.exports = {
+    buildReport,
+    toMarkdown,
+    toHtml,
+    writeRunReport,
+};
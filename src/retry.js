@@ -0,0 +1,99 @@
+/**
+ * retry.js
+ *
+ * Retry with exponential backoff and endpoint failover, shared by the GraphQL client
+ * (metrics.js) and the fullnode RPC calls (updateGasPrice.js, validatorSurvey.js).
+ *
+ * Each failed attempt moves on to the next endpoint in the list (wrapping around), then
+ * waits a random delay in [0, min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2^attempt)]
+ * ("full jitter"). It gives up after RETRY_ATTEMPTS attempts, once the next wait would
+ * overrun RETRY_BUDGET_MS, or at the first error that is not retryable.
+ *
+ * Retryable: network failures and timeouts, HTTP 408 / 429 / 5xx. Everything else
+ * (4xx, GraphQL errors, Move aborts, bad input) fails at once — repeating would not help.
+ *
+ * The RETRY_* settings are read once, on first use, and again when the runner starts a run
+ * (loadRetryPolicy), not on every request.
+ */
+
+const { getConfig } = require('./config');
+
+const RETRYABLE_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+    'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET',
+]);
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/** Best-effort classification of errors from fetch, axios and the Sui SDK. */
+function isRetryable(err) {
+    if (typeof err?.retryable === 'boolean') return err.retryable;
+    const status = err?.status ?? err?.response?.status;
+    if (Number.isInteger(status)) return isRetryableStatus(status);
+    const code = err?.code ?? err?.cause?.code;
+    if (code && RETRYABLE_CODES.has(code)) return true;
+    if (err?.name === 'AbortError' || err?.name === 'TimeoutError') return true;
+    const msg = String(err?.message ?? err);
+    if (/fetch failed|socket hang up|network error|timed? ?out/i.test(msg)) return true;
+    const m = msg.match(/\b(?:status(?: code)?|HTTP)[:\s]+(\d{3})\b/i);
+    return m ? isRetryableStatus(Number(m[1])) : false;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let policy = null; // RETRY_* settings in use
+
+/** (Re)read the RETRY_* settings; the runner calls this at the start of every run. */
+function loadRetryPolicy(config = getConfig()) {
+    policy = {
+        attempts: config.RETRY_ATTEMPTS,
+        baseDelayMs: config.RETRY_BASE_DELAY_MS,
+        maxDelayMs: config.RETRY_MAX_DELAY_MS,
+        budgetMs: config.RETRY_BUDGET_MS,
+    };
+    return policy;
+}
+
+/**
+ * Call `fn(endpoint, attempt)` until it resolves.
+ *
+ * @param {(endpoint: string, attempt: number) => Promise<any>} fn
+ * @param {Object} opts
+ * @param {string|string[]} opts.endpoints  Ordered by preference
+ * @param {string} [opts.label]             For log lines
+ * @param {(err: Error) => boolean} [opts.retryable]
+ */
+async function withRetry(fn, { endpoints, label = 'request', retryable = isRetryable }) {
+    const list = [].concat(endpoints).filter(Boolean);
+    if (!list.length) throw new Error(`${label}: no endpoint configured`);
+    const { attempts, baseDelayMs, maxDelayMs, budgetMs } = policy ?? loadRetryPolicy();
+    const deadline = Date.now() + budgetMs;
+
+    for (let attempt = 0; ; attempt++) {
+        const endpoint = list[attempt % list.length];
+        try {
+            return await fn(endpoint, attempt);
+        } catch (err) {
+            const reason = err?.message || String(err);
+            if (!retryable(err)) throw err;
+            if (attempt + 1 >= attempts) {
+                throw new Error(`${label} failed after ${attempt + 1} attempt(s): ${reason}`, { cause: err });
+            }
+            const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delayMs = Math.round(Math.random() * cap);
+            if (Date.now() + delayMs > deadline) {
+                throw new Error(`${label} failed, retry budget of ${budgetMs} ms spent: ${reason}`, { cause: err });
+            }
+            console.warn(`[retry] ${label} via ${endpoint} failed (${reason}); attempt ${attempt + 2} via ${list[(attempt + 1) % list.length]} in ${delayMs} ms`);
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+    isRetryable,
+    loadRetryPolicy,
+};
@@ -0,0 +1,172 @@
+/**
+ * runState.js
+ *
+ * Local JSON run-state store (RUN_STATE_FILE, default ./rgp-state.json).
+ *
+ * Shape:
+ *   {
+ *     validators: {
+ *       "<name>": {
+ *         epochs: {
+ *           "<epoch>": { epoch, proposedRgpMist, jitter, status, txDigest, attempts, error, updatedAt }
+ *         },
+ *         lastSubmission: { epoch, proposedRgpMist, txDigest, at },   // last value that landed on-chain
+ *         pending: { epoch, proposedRgpMist, changePct, inputs, calc, createdAt, expiresAt } | null,
+ *       }
+ *     },
+ *     scheduler: { lastHandledEpoch }
+ *   }
+ *
+ * Single-validator stores written before per-validator keys existed (top-level `epochs` /
+ * `lastSubmission`) are read as the 'default' validator.
+ *
+ * Status values:
+ *   computed | dry_run | proposed_only | unchanged | pending_approval | rejected | expired |
+ *   awaiting_signature | submitted | unverified | failed
+ * `unverified`: the tx landed but the quote read back did not confirm it.
+ * `submitted`, `unverified` and `unchanged` count as success: the epoch is not run again unless
+ * forced, so a landed tx is never sent again.
+ *
+ * Writes go through a temp file + rename so a crash never leaves a half-written store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { localPath } = require('./fixtures');
+
+const SUCCESS_STATUSES = new Set(['submitted', 'unverified', 'unchanged']);
+const DEFAULT_VALIDATOR = 'default';
+
+function stateFile() {
+    return localPath(getConfig(), 'RUN_STATE_FILE');
+}
+
+function emptyState() {
+    return { validators: {}, scheduler: { lastHandledEpoch: null } };
+}
+
+function loadState() {
+    const file = stateFile();
+    if (!fs.existsSync(file)) return emptyState();
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        // A corrupt store must not silently turn into "never submitted" → refuse to run.
+        throw new Error(`run state file ${file} is unreadable: ${e.message}`);
+    }
+
+    const state = { ...emptyState(), ...json };
+    if (json.epochs || json.lastSubmission) {
+        state.validators[DEFAULT_VALIDATOR] ??= { epochs: json.epochs || {}, lastSubmission: json.lastSubmission ?? null };
+        delete state.epochs;
+        delete state.lastSubmission;
+    }
+    return state;
+}
+
+function saveState(state) {
+    const file = stateFile();
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+function validatorState(state, validator) {
+    return (state.validators[validator] ??= { epochs: {}, lastSubmission: null });
+}
+
+/* --------------------------------- epochs ------------------------------------ */
+
+/** @returns {Object|null} the stored record for `epoch` */
+function getEpochRecord(epoch, validator = DEFAULT_VALIDATOR) {
+    return loadState().validators[validator]?.epochs?.[String(epoch)] ?? null;
+}
+
+/** True when `epoch` already has a successful submission recorded. */
+function isEpochDone(epoch, validator = DEFAULT_VALIDATOR) {
+    const rec = getEpochRecord(epoch, validator);
+    return !!rec && SUCCESS_STATUSES.has(rec.status);
+}
+
+/**
+ * Merge `patch` into the record for `epoch` and persist.
+ * A `submitted` or `unverified` status also becomes the new lastSubmission.
+ * @returns {Object} the updated record
+ */
+function recordEpoch(epoch, patch, validator = DEFAULT_VALIDATOR) {
+    const state = loadState();
+    const vs = validatorState(state, validator);
+    const key = String(epoch);
+    const rec = {
+        ...(vs.epochs[key] || { epoch, attempts: 0 }),
+        ...patch,
+        updatedAt: new Date().toISOString(),
+    };
+    vs.epochs[key] = rec;
+
+    if (patch.status === 'submitted' || patch.status === 'unverified') {
+        vs.lastSubmission = {
+            epoch,
+            proposedRgpMist: rec.proposedRgpMist,
+            txDigest: rec.txDigest ?? null,
+            at: rec.updatedAt,
+        };
+    }
+    saveState(state);
+    return rec;
+}
+
+/** @returns {{epoch, proposedRgpMist, txDigest, at}|null} */
+function getLastSubmission(validator = DEFAULT_VALIDATOR) {
+    return loadState().validators[validator]?.lastSubmission ?? null;
+}
+
+/* --------------------------------- approvals --------------------------------- */
+
+/** @returns {Object|null} the proposal waiting for approval (see approval gate in main.js) */
+function getPending(validator = DEFAULT_VALIDATOR) {
+    return loadState().validators[validator]?.pending ?? null;
+}
+
+function setPending(pending, validator = DEFAULT_VALIDATOR) {
+    const state = loadState();
+    validatorState(state, validator).pending = pending;
+    saveState(state);
+}
+
+/** Every validator's pending proposal: { name: pending } */
+function listPending() {
+    const out = {};
+    for (const [name, vs] of Object.entries(loadState().validators)) {
+        if (vs.pending) out[name] = vs.pending;
+    }
+    return out;
+}
+
+/* -------------------------------- scheduler ---------------------------------- */
+
+function getLastHandledEpoch() {
+    const v = loadState().scheduler?.lastHandledEpoch;
+    return v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+}
+
+function setLastHandledEpoch(epoch) {
+    const state = loadState();
+    state.scheduler = { ...state.scheduler, lastHandledEpoch: epoch, updatedAt: new Date().toISOString() };
+    saveState(state);
+}
+
+module.exports = {
+    getEpochRecord,
+    isEpochDone,
+    recordEpoch,
+    getLastSubmission,
+    getPending,
+    setPending,
+    listPending,
+    getLastHandledEpoch,
+    setLastHandledEpoch,
+};
@@ -0,0 +1,249 @@
+/**
+ * simulate.js
+ *
+ * Backtest: replay historical epochs through computeNewRgpFromInputs().
+ *
+ * Walks forward epoch by epoch. At each step the proposal for epoch E is computed from
+ * ONLY what was known at that point:
+ *   - the per-epoch metrics of the SIM_WINDOW completed epochs before E
+ *   - the referenceGasPrice in force during E (the "current" RGP)
+ * Epochs in the window without usable data are left out and the step uses the rest; a step
+ * is only skipped when its window reaches back before the fetched history, or when fewer
+ * than MIN_WINDOW_EPOCHS usable epochs remain.
+ *
+ * Reports the proposed RGP series, clamp-hit frequency and how far the implied
+ * per-tx USD cost lands from TARGET_AVG_TX_USD:
+ *   implied = compCostUsd * (R_final / R_now) / compShare
+ *
+ * Env:
+ *   SIM_EPOCHS    - how many past epochs to fetch (default 180)
+ *   SIM_WINDOW    - lookback window per step, in epochs (default 28)
+ *   SIM_OUT_CSV   - optional path for the per-step series as CSV
+ *   SIM_OUT_JSON  - optional path for series + summary as JSON
+ *
+ * Policy knobs (TARGET_AVG_TX_USD, RGP_GUARD_RAILS, RGP_ROUND_STEP, RGP_AGG_*, ANOMALY_*, …)
+ * are read exactly as the live pipeline reads them, so a backtest shows what the live runner would have done.
+ */
+
+const fs = require('fs');
+
+const { computeNewRgpFromInputs, readRgpPolicy } = require('./computeRgp');
+const { getStrategy } = require('./strategies');
+const { fetchEpochHistory, extractEpoch, attachPrice, summarize, applyAnomalyPolicy } = require('./metrics');
+const { getSuiDailyPrices } = require('./suiPriceHistory');
+const { toCsv } = require('./csv');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fewest usable epochs a step is computed from (SIM_WINDOW when that is smaller)
+const MIN_WINDOW_EPOCHS = 3;
+
+function average(xs) {
+    const v = xs.filter(Number.isFinite);
+    return v.length ? v.reduce((a, b) => a + b, 0) / v.length : NaN;
+}
+
+/** [5, 6, 7, 9] → '5–7, 9' */
+function epochRanges(ids) {
+    const out = [];
+    for (const id of ids) {
+        const last = out[out.length - 1];
+        if (last && id === last[1] + 1) last[1] = id;
+        else out.push([id, id]);
+    }
+    return out.map(([a, b]) => (a === b ? `${a}` : `${a}–${b}`)).join(', ');
+}
+
+/* ---------------------------------- replay ----------------------------------- */
+
+/**
+ * Replay the policy over already-fetched epoch nodes.
+ *
+ * @param {Array<Object>} nodes     Raw GraphQL epoch nodes, oldest first
+ * @param {Record<string, number>} priceMap  { 'YYYY-MM-DD': priceUsd }
+ * @param {Record<string, string>} priceSources  { 'YYYY-MM-DD': provider }
+ * @param {Object} policy           Output of readRgpPolicy()
+ * @param {number} window           Number of completed epochs visible at each step
+ * @param {string|null} [ourAddress] Seed for RGP_JITTER_MODE=seeded when RGP_JITTER_SEED is unset
+ * @returns {{ steps: Array<Object>, skipped: Array<{epoch: number, epochsVisible: number, reason: string}>, summary: Object }}
+ *          skipped (no step): reason 'history' when the window starts before the first fetched
+ *          epoch, 'unusable' when fewer than MIN_WINDOW_EPOCHS of its epochs have usable data
+ */
+function replayEpochs(nodes, priceMap, priceSources, policy, window, ourAddress = null) {
+    const rows = attachPrice(nodes.map(extractEpoch).filter(Boolean), priceMap, priceSources);
+    const firstEpoch = Math.min(...nodes.map((n) => Number(n?.epochId)).filter(Number.isFinite));
+    const minEpochs = Math.min(window, MIN_WINDOW_EPOCHS);
+    const steps = [];
+    const skipped = [];
+
+    for (const node of nodes) {
+        const epoch = Number(node?.epochId);
+        const currentRgp = Number(node?.referenceGasPrice);
+        const visible = rows.filter((r) => r.epochId < epoch && r.epochId >= epoch - window);
+        if (epoch - window < firstEpoch) {
+            skipped.push({ epoch, epochsVisible: visible.length, reason: 'history' });
+            continue;
+        }
+        if (visible.length < minEpochs) {
+            skipped.push({ epoch, epochsVisible: visible.length, reason: 'unusable' });
+            continue;
+        }
+
+        const step = { epoch, currentRgp, epochsVisible: visible.length, epochsUsed: visible.length };
+        try {
+            const { used, report } = applyAnomalyPolicy(visible);
+            step.epochsUsed = used.length;
+            step.anomalies = report.flagged.length;
+            const { overall } = summarize(used);
+            const compShare = overall._num.avgCompShare;
+            const compCostUsd = overall._num.avgComputationCostPerTx_USD;
+
+            const result = computeNewRgpFromInputs(
+                policy.targetAvgTxUsd,
+                compShare,
+                compCostUsd,
+                currentRgp,
+                {
+                    guardRailsEnabled: policy.guardRailsEnabled,
+                    guardRailsPct: policy.guardRailsPct,
+                    roundStep: policy.roundStep,
+                    minRgpMist: policy.minRgpMist,
+                    maxRgpMist: policy.maxRgpMist,
+                    jitterRange: policy.jitterRange,
+                    strategy: policy.strategy,
+                    strategyParams: policy.strategyParams,
+                    jitterMode: policy.jitterMode,
+                    jitterSeed: policy.jitterSeed,
+                    ourAddress,
+                    epoch,
+                }
+            );
+
+            const impliedTxUsd = compCostUsd * (result.proposedRgpMist / currentRgp) / compShare;
+            Object.assign(step, {
+                compShare,
+                compCostUsd,
+                k: result.calc.k,
+                R_raw: result.calc.R_raw,
+                clampMin: result.calc.clampMin,
+                clampMax: result.calc.clampMax,
+                jitter: result.calc.jitter,
+                proposedRgp: result.proposedRgpMist,
+                changePct: ((result.proposedRgpMist - currentRgp) / currentRgp) * 100,
+                clampHit: result.calc.clampHit,
+                impliedTxUsd,
+                deviationPct: ((impliedTxUsd - policy.targetAvgTxUsd) / policy.targetAvgTxUsd) * 100,
+            });
+        } catch (e) {
+            step.error = e.message;
+        }
+        steps.push(step);
+    }
+
+    const history = skipped.filter((s) => s.reason === 'history');
+    const unusable = skipped.filter((s) => s.reason === 'unusable');
+    if (history.length) {
+        console.log(`[sim] ${history.length} epoch(s) only serve as history (window before the first fetched epoch):`, epochRanges(history.map((s) => s.epoch)));
+    }
+    if (unusable.length) {
+        console.warn(
+            `[sim] skipped ${unusable.length} epoch(s) with fewer than ${minEpochs} usable epochs in their window:`,
+            epochRanges(unusable.map((s) => s.epoch))
+        );
+    }
+    const short = steps.filter((s) => s.epochsVisible < window);
+    if (short.length) {
+        console.warn(`[sim] ${short.length} step(s) computed from fewer than ${window} usable epochs:`, epochRanges(short.map((s) => s.epoch)));
+    }
+    return { steps, skipped, summary: summarizeSteps(steps, policy, skipped, window) };
+}
+
+function summarizeSteps(steps, policy, skipped = [], window = Infinity) {
+    const ok = steps.filter((s) => !s.error);
+    const count = (hit) => ok.filter((s) => s.clampHit === hit).length;
+    const devs = ok.map((s) => s.deviationPct);
+
+    return {
+        targetAvgTxUsd: policy.targetAvgTxUsd,
+        firstEpoch: steps.length ? steps[0].epoch : null,
+        lastEpoch: steps.length ? steps[steps.length - 1].epoch : null,
+        steps: steps.length,
+        skipped: skipped.length,
+        shortWindows: steps.filter((s) => s.epochsVisible < window).length,
+        errors: steps.length - ok.length,
+        clampMinHits: count('min'),
+        clampMaxHits: count('max'),
+        absMinHits: count('abs_min'),
+        absMaxHits: count('abs_max'),
+        clampHitRatePct: ok.length ? (ok.filter((s) => s.clampHit).length / ok.length) * 100 : NaN,
+        meanDeviationPct: average(devs),
+        meanAbsDeviationPct: average(devs.map(Math.abs)),
+        maxAbsDeviationPct: devs.length ? Math.max(...devs.map(Math.abs)) : NaN,
+    };
+}
+
+/* ---------------------------------- top-level --------------------------------- */
+
+async function simulate() {
+    const config = getConfig();
+    const epochs = config.SIM_EPOCHS;
+    const window = config.SIM_WINDOW;
+    const policy = readRgpPolicy({}, config);
+    if (getStrategy(policy.strategy).needsPeers) {
+        throw new Error(`Strategy '${policy.strategy}' needs live validator quotes and cannot be backtested`);
+    }
+
+    console.log(`[sim] fetching ${epochs} epochs (window ${window})…`);
+    const nodes = await fetchEpochHistory(epochs);
+    if (!nodes.length) throw new Error('no epochs returned — nothing to simulate');
+
+    // Size the price fetch to reach back to the oldest epoch we replay
+    const oldest = Date.parse(nodes[0]?.startTimestamp);
+    const days = Number.isFinite(oldest) ? Math.ceil((Date.now() - oldest) / DAY_MS) + 2 : epochs + 2;
+    const { prices, sources } = await getSuiDailyPrices(days);
+    console.log(`[sim] loaded ${Object.keys(prices).length} daily SUI prices`);
+
+    return replayEpochs(nodes, prices, sources, policy, window, config.VALIDATOR_ADDRESS);
+}
+
+/* ------------------------------ CLI execution -------------------------------- */
+
+async function main() {
+    const { steps, summary } = await simulate();
+
+    console.log('\n=== Backtest: proposed RGP per epoch ===');
+    console.table(steps.map((s) => ({
+        epoch: s.epoch,
+        currentRgp: s.currentRgp,
+        proposedRgp: s.proposedRgp,
+        changePct: Number.isFinite(s.changePct) ? s.changePct.toFixed(2) : 'N/A',
+        clampHit: s.clampHit ?? '',
+        impliedTxUsd: Number.isFinite(s.impliedTxUsd) ? s.impliedTxUsd.toFixed(6) : 'N/A',
+        deviationPct: Number.isFinite(s.deviationPct) ? s.deviationPct.toFixed(2) : 'N/A',
+        error: s.error ?? '',
+    })));
+
+    console.log('\n=== Backtest summary ===');
+    console.table([summary]);
+
+    const config = getConfig();
+    const csvPath = config.SIM_OUT_CSV;
+    if (csvPath) {
+        fs.writeFileSync(csvPath, toCsv(steps));
+        console.log(`[sim] wrote ${csvPath}`);
+    }
+    const jsonPath = config.SIM_OUT_JSON;
+    if (jsonPath) {
+        fs.writeFileSync(jsonPath, JSON.stringify({ summary, steps }, null, 2));
+        console.log(`[sim] wrote ${jsonPath}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error('[fatal]', e);
+        process.exit(1);
+    });
+}
+
+module.exports = { simulate, replayEpochs };
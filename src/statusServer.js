@@ -0,0 +1,241 @@
+/**
+ * statusServer.js
+ *
+ * Optional embedded HTTP server (STATUS_SERVER_ENABLED=true) so a long-running cron/epoch
+ * process is observable between log lines.
+ *
+ *   GET /metrics   Prometheus text format from a persistent registry (scrape target)
+ *   GET /status    network and last run: per-validator inputs, calc, proposal, status, tx digest; next scheduled run
+ *   GET /healthz   200 while the last successful run is younger than STATUS_MAX_RUN_AGE_MINUTES
+ *                  (measured from process start until the first success), 503 when stale
+ *   GET /proposal  compute a proposal now — never submits, never touches the run state or
+ *                  METRICS_OUT_JSON (?validator=<name> to pick one). At most one compute per
+ *                  validator every STATUS_PROPOSAL_MIN_INTERVAL_SECONDS: in between the last one
+ *                  is served again (see its generatedAt), so callers cannot hammer the upstreams
+ *   GET  /pending  proposals held by the approval gate
+ *   POST /approve  submit a pending proposal   (?validator=<name>)
+ *   POST /reject   discard a pending proposal  (?validator=<name>&reason=…)
+ *
+ * /approve and /reject need `Authorization: Bearer <APPROVAL_TOKEN>` and are disabled
+ * (403) while APPROVAL_TOKEN is unset.
+ *
+ * The runner reports into this module (recordRunStart / updateValidator / recordRunEnd);
+ * the state lives in memory only and starts empty on restart.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const client = require('prom-client');
+const { getConfig } = require('./config');
+
+const MINUTE_MS = 60 * 1000;
+
+/* ----------------------------------- state ----------------------------------- */
+
+const state = {
+    startedAt: new Date().toISOString(),
+    lastRun: null,          // { startedAt, finishedAt, ok, error, epoch }
+    lastSuccessAt: null,
+    validators: {},         // name → { epoch, proposedRgpMist, inputs, calc, survey, status, txDigest, error, updatedAt }
+};
+
+/* ---------------------------------- metrics ---------------------------------- */
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const gauges = {
+    proposed: new client.Gauge({
+        name: 'sui_reference_gas_price_proposed_mist',
+        help: 'Proposed reference gas price (MIST)',
+        labelNames: ['validator'],
+        registers: [registry],
+    }),
+    current: new client.Gauge({
+        name: 'sui_reference_gas_price_current_mist',
+        help: 'Current reference gas price at time of proposal (MIST)',
+        labelNames: ['validator'],
+        registers: [registry],
+    }),
+    predicted: new client.Gauge({
+        name: 'sui_reference_gas_price_survey_predicted_mist',
+        help: 'Survey RGP from next-epoch quotes with our proposal applied (MIST)',
+        labelNames: ['validator'],
+        registers: [registry],
+    }),
+    lastRun: new client.Gauge({
+        name: 'sui_rgp_last_run_timestamp_seconds',
+        help: 'Unix time the last run finished',
+        registers: [registry],
+    }),
+    lastSuccess: new client.Gauge({
+        name: 'sui_rgp_last_success_timestamp_seconds',
+        help: 'Unix time of the last run in which every validator succeeded',
+        registers: [registry],
+    }),
+};
+
+const runs = new client.Counter({
+    name: 'sui_rgp_runs_total',
+    help: 'Completed runs by result',
+    labelNames: ['result'],
+    registers: [registry],
+});
+
+const validatorRuns = new client.Counter({
+    name: 'sui_rgp_validator_runs_total',
+    help: 'Per-validator run outcomes by final status',
+    labelNames: ['validator', 'status'],
+    registers: [registry],
+});
+
+/* ---------------------------------- reporting -------------------------------- */
+
+function recordRunStart() {
+    state.lastRun = { startedAt: new Date().toISOString(), finishedAt: null, ok: null, error: null, epoch: null };
+}
+
+/**
+ * Merge a patch into a validator's entry (called as the run progresses).
+ * A `status` other than 'computed' is treated as that validator's outcome for this run.
+ */
+function updateValidator(name, patch) {
+    const entry = (state.validators[name] = {
+        ...state.validators[name],
+        ...patch,
+        updatedAt: new Date().toISOString(),
+    });
+    if (Number.isFinite(patch.proposedRgpMist)) gauges.proposed.set({ validator: name }, patch.proposedRgpMist);
+    if (Number.isFinite(patch.inputs?.currentRgp)) gauges.current.set({ validator: name }, patch.inputs.currentRgp);
+    if (Number.isFinite(patch.survey?.rgpWithProposal)) gauges.predicted.set({ validator: name }, patch.survey.rgpWithProposal);
+    if (patch.status && patch.status !== 'computed') validatorRuns.inc({ validator: name, status: patch.status });
+    return entry;
+}
+
+function recordRunEnd({ ok, error = null, epoch = null }) {
+    const now = new Date();
+    state.lastRun = { ...state.lastRun, finishedAt: now.toISOString(), ok, error, epoch };
+    gauges.lastRun.set(now.getTime() / 1000);
+    runs.inc({ result: ok ? 'success' : 'failure' });
+    if (ok) {
+        state.lastSuccessAt = now.toISOString();
+        gauges.lastSuccess.set(now.getTime() / 1000);
+    }
+}
+
+/* ---------------------------------- handlers --------------------------------- */
+
+function sendJson(res, code, body) {
+    res.writeHead(code, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function health(maxAgeMs) {
+    const since = state.lastSuccessAt ?? state.startedAt;
+    const ageMs = Date.now() - Date.parse(since);
+    return {
+        ok: ageMs <= maxAgeMs,
+        lastSuccessAt: state.lastSuccessAt,
+        ageMinutes: Math.round(ageMs / MINUTE_MS),
+        maxAgeMinutes: maxAgeMs / MINUTE_MS,
+        lastRunOk: state.lastRun?.ok ?? null,
+    };
+}
+
+/** Constant-time check of the request's bearer token against APPROVAL_TOKEN. */
+function authorized(req, token) {
+    const given = Buffer.from(String(req.headers.authorization ?? ''));
+    const expected = Buffer.from(`Bearer ${token}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const ROUTES = {
+    GET: ['/metrics', '/status', '/healthz', '/proposal', '/pending'],
+    POST: ['/approve', '/reject'],
+};
+
+/**
+ * @param {Object} opts
+ * @param {(opts: {validator?: string}) => Promise<Object>} opts.propose  Dry proposal (no submission)
+ * @param {() => Object} opts.listPending                                 Pending proposals by validator
+ * @param {(name: string) => Promise<Object>} opts.approve                Submit a pending proposal
+ * @param {(name: string, reason?: string) => Promise<Object>} opts.reject Discard a pending proposal
+ * @param {() => (Date|null)} [opts.nextRunAt]                            Next scheduled run, if known
+ * @returns {http.Server}
+ */
+function startStatusServer({ propose, listPending, approve, reject, nextRunAt = () => null }) {
+    const config = getConfig();
+    const maxAgeMs = config.STATUS_MAX_RUN_AGE_MINUTES * MINUTE_MS;
+    const proposalIntervalMs = config.STATUS_PROPOSAL_MIN_INTERVAL_SECONDS * 1000;
+    const proposals = new Map(); // validator → { at, result }: the last compute, in flight or done
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const allowed = Object.keys(ROUTES).filter((m) => ROUTES[m].includes(url.pathname));
+        if (!allowed.length) return sendJson(res, 404, { error: 'not found' });
+        if (!allowed.includes(req.method)) return sendJson(res, 405, { error: 'method not allowed' });
+        try {
+            switch (url.pathname) {
+                case '/metrics':
+                    res.writeHead(200, { 'Content-Type': registry.contentType });
+                    return res.end(await registry.metrics());
+                case '/status':
+                    return sendJson(res, 200, {
+                        network: config.SUI_NETWORK,
+                        ...state,
+                        nextRunAt: nextRunAt()?.toISOString() ?? null,
+                    });
+                case '/healthz': {
+                    const h = health(maxAgeMs);
+                    return sendJson(res, h.ok ? 200 : 503, h);
+                }
+                case '/proposal': {
+                    const validator = url.searchParams.get('validator') || undefined;
+                    const key = validator ?? '*';
+                    const now = Date.now();
+                    let last = proposals.get(key);
+                    if (!last || now - last.at >= proposalIntervalMs) {
+                        for (const [k, p] of proposals) if (now - p.at >= proposalIntervalMs) proposals.delete(k);
+                        last = { at: now, result: propose({ validator }) };
+                        proposals.set(key, last);
+                    }
+                    return sendJson(res, 200, await last.result);
+                }
+                case '/pending':
+                    return sendJson(res, 200, listPending());
+                case '/approve':
+                case '/reject': {
+                    if (!config.APPROVAL_TOKEN) return sendJson(res, 403, { error: 'APPROVAL_TOKEN is not set' });
+                    if (!authorized(req, config.APPROVAL_TOKEN)) return sendJson(res, 401, { error: 'unauthorized' });
+                    const validator = url.searchParams.get('validator') || 'default';
+                    if (!listPending()[validator]) return sendJson(res, 404, { error: `no pending proposal for '${validator}'` });
+                    const result = url.pathname === '/approve'
+                        ? await approve(validator)
+                        : await reject(validator, url.searchParams.get('reason'));
+                    return sendJson(res, 200, result);
+                }
+            }
+        } catch (e) {
+            console.error(`[status] ${url.pathname} failed:`, e?.message || e);
+            return sendJson(res, 500, { error: e?.message || String(e) });
+        }
+    });
+
+    // The server is optional: failing to bind (port in use, bad host) must not stop the runner
+    server.on('error', (e) => {
+        console.error(`[status] server on ${config.STATUS_SERVER_HOST}:${config.STATUS_SERVER_PORT} failed: ${e?.message || e}; continuing without it`);
+        server.close();
+    });
+    server.listen(config.STATUS_SERVER_PORT, config.STATUS_SERVER_HOST, () => {
+        console.log(`[status] listening on http://${config.STATUS_SERVER_HOST}:${config.STATUS_SERVER_PORT} (/metrics /status /healthz /proposal /pending /approve /reject)`);
+    });
+    return server;
+}
+
+module.exports = {
+    startStatusServer,
+    recordRunStart,
+    updateValidator,
+    recordRunEnd,
+    registry,
+};
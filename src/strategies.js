@@ -0,0 +1,101 @@
+/**
+ * strategies.js
+ *
+ * Pricing strategies: each one only proposes the RAW next RGP. Guard rails, jitter,
+ * rounding and absolute min/max are applied afterwards by computeNewRgpFromInputs(),
+ * identically for every strategy.
+ *
+ * Interface:
+ *   {
+ *     name,
+ *     needsPeers,                        // true → ctx.peers (validator survey) is required
+ *     propose(ctx, params) -> { R_raw, details }
+ *   }
+ *
+ * ctx = { targetAvgTxUsd, compShare, compCostUsd, currentRgp, peers, ourAddress }
+ *
+ * Strategies:
+ *   usd_target    (default) R_raw = R_now * (p * T_target / C_cur)
+ *   peer_tracking           R_raw = percentile of OTHER validators' next-epoch quotes + offset
+ *                           params: { percentile = 50, weighted = true, offsetMist = 0, offsetPct = 0 }
+ *                           weighted → percentile by voting power instead of by head count
+ */
+
+/* -------------------------------- usd_target --------------------------------- */
+
+const usdTarget = {
+    name: 'usd_target',
+    needsPeers: false,
+    propose({ targetAvgTxUsd, compShare, compCostUsd, currentRgp }) {
+        if (!Number.isFinite(targetAvgTxUsd) || targetAvgTxUsd <= 0) {
+            throw new Error('Invalid TARGET_AVG_TX_USD (must be a positive number)');
+        }
+        if (!Number.isFinite(compShare) || compShare <= 0 || compShare > 1) {
+            throw new Error('Invalid avgCompShare (must be in (0,1])');
+        }
+        if (!Number.isFinite(compCostUsd) || compCostUsd <= 0) {
+            throw new Error('Invalid avgComputationCostPerTx_USD (must be > 0)');
+        }
+
+        const C_target = compShare * targetAvgTxUsd;    // desired computation USD
+        const k = C_target / compCostUsd;               // scale factor
+        return { R_raw: currentRgp * k, details: { C_target, k } };
+    },
+};
+
+/* ------------------------------- peer_tracking ------------------------------- */
+
+/** Percentile (0..100) of `entries` by cumulative weight, lowest price first. */
+function weightedPercentile(entries, percentile) {
+    const sorted = [...entries].sort((a, b) => a.price - b.price);
+    const total = sorted.reduce((s, e) => s + e.weight, 0);
+    const target = (total * percentile) / 100;
+    let acc = 0;
+    for (const e of sorted) {
+        acc += e.weight;
+        if (acc >= target) return e.price;
+    }
+    return sorted[sorted.length - 1].price;
+}
+
+const peerTracking = {
+    name: 'peer_tracking',
+    needsPeers: true,
+    propose({ peers, ourAddress }, params = {}) {
+        const { percentile = 50, weighted = true, offsetMist = 0, offsetPct = 0 } = params;
+        if (!Number.isFinite(percentile) || percentile < 0 || percentile > 100) {
+            throw new Error('peer_tracking: percentile must be in [0,100]');
+        }
+        const norm = (a) => String(a || '').toLowerCase();
+        const others = (peers || []).filter((v) => !ourAddress || norm(v.address) !== norm(ourAddress));
+        if (!others.length) throw new Error('peer_tracking: no peer quotes available');
+
+        const peerQuote = weightedPercentile(
+            others.map((v) => ({ price: v.nextEpochGasPrice, weight: weighted ? v.votingPower : 1 })),
+            percentile
+        );
+        return {
+            R_raw: peerQuote * (1 + offsetPct / 100) + offsetMist,
+            details: { peerQuote, peers: others.length, percentile, weighted, offsetMist, offsetPct },
+        };
+    },
+};
+
+const STRATEGIES = {
+    [usdTarget.name]: usdTarget,
+    [peerTracking.name]: peerTracking,
+};
+
+/**
+ * @param {string} name
+ */
+function getStrategy(name = 'usd_target') {
+    const s = STRATEGIES[name];
+    if (!s) throw new Error(`Unknown RGP strategy '${name}' (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+    return s;
+}
+
+module.exports = {
+    STRATEGIES,
+    getStrategy,
+};
@@ -1,14 +1,26 @@
 /**
  * suiPriceHistory.js
  *
- * Helpers to fetch SUI daily price history from CoinGecko (via `coingecko-api`).
+ * Helpers to fetch SUI daily price history from one or more providers (see priceProviders.js).
  * Exposes:
- *   - getTokenPriceHistory(tokenId, days, vsCurrency) -> [{ date, priceUsd }]
+ *   - getTokenPriceHistory(tokenId, days, vsCurrency) -> [{ date, priceUsd }]  (CoinGecko only)
+ *   - getSuiDailyPrices(days) -> { prices: { 'YYYY-MM-DD': price }, sources: { 'YYYY-MM-DD': provider } }
  *   - getSuiDailyPriceMap(days) -> { 'YYYY-MM-DD': price }
+ *
+ * Provider selection (config.js):
+ *   PRICE_PROVIDERS   - comma-separated, in priority order (default 'coingecko')
+ *   PRICE_AGGREGATION - 'fallback' (default): each day comes from the first provider that has it
+ *                       'median'            : each day is the median across all providers that have it
+ *
+ * Under FIXTURE_MODE the resulting price map is recorded / replayed as a whole (fixtures.js).
  */
 
-const CoinGecko = require('coingecko-api');
-const CoinGeckoClient = new CoinGecko();
+const { getProvider } = require('./priceProviders');
+const { median } = require('./aggregate');
+const { getConfig } = require('./config');
+const { recorded } = require('./fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Fetch daily price history for a token from CoinGecko.
@@ -20,51 +32,104 @@ const CoinGeckoClient = new CoinGecko();
 async function getTokenPriceHistory(tokenId = 'sui', days = 60, vsCurrency = 'usd') {
     try {
         console.log(`[price] Fetching ${days} days of daily prices for '${tokenId}' (${vsCurrency.toUpperCase()})…`);
+        if (vsCurrency.toLowerCase() !== 'usd') throw new Error('only USD quotes are supported');
 
-        const resp = await CoinGeckoClient.coins.fetchMarketChart(tokenId, {
-            vs_currency: vsCurrency,
-            days,
-            interval: 'daily',
-        });
-
-        if (!resp || resp.success === false) {
-            const msg = resp?.message || 'Unknown error from CoinGecko';
-            throw new Error(msg);
-        }
+        const rows = await getProvider('coingecko').fetchHistory(days, { coinId: tokenId });
+        if (rows.length === 0) console.warn('[price] No price data returned.');
+        else console.log(`[price] Received ${rows.length} daily points.`);
+        return rows;
+    } catch (err) {
+        console.error(`[price] Failed to fetch history for '${tokenId}': ${err.message}`);
+        return [];
+    }
+}
 
-        const prices = resp.data?.prices;
-        if (!Array.isArray(prices) || prices.length === 0) {
-            console.warn('[price] No price data returned.');
-            return [];
-        }
+/* ------------------------------- aggregation --------------------------------- */
 
-        // prices is [[timestamp_ms, price], ...]
-        const rows = prices.map(([ts, price]) => ({
-            date: new Date(ts).toISOString().slice(0, 10), // YYYY-MM-DD (UTC)
-            priceUsd: Number(price),
-        }));
+/** The UTC days a `days`-long lookback is expected to cover (today inclusive). */
+function expectedDates(days) {
+    const out = [];
+    for (let i = 0; i < days; i++) {
+        out.push(new Date(Date.now() - i * DAY_MS).toISOString().slice(0, 10));
+    }
+    return out;
+}
 
-        console.log(`[price] Received ${rows.length} daily points.`);
+/** Fetch one provider, logging and swallowing its failure so the others can still answer. */
+async function fetchFrom(name, days) {
+    try {
+        const rows = await getProvider(name).fetchHistory(days);
+        console.log(`[price] ${name}: received ${rows.length} daily points.`);
         return rows;
     } catch (err) {
-        console.error(`[price] Failed to fetch history for '${tokenId}': ${err.message}`);
+        console.error(`[price] ${name}: failed to fetch history: ${err.message}`);
         return [];
     }
 }
 
+/**
+ * Daily SUI/USD prices plus the provider that supplied each day.
+ * @param {number} days
+ * @returns {Promise<{ prices: Record<string, number>, sources: Record<string, string> }>}
+ */
+async function getSuiDailyPrices(days = 120) {
+    const config = getConfig(); // provider names and mode are validated there
+    const names = config.PRICE_PROVIDERS;
+    const mode = config.PRICE_AGGREGATION;
+
+    return recorded('prices', `${names.join(',')}:${mode}`, { days, providers: names, mode },
+        () => fetchSuiDailyPrices(days, names, mode), config);
+}
+
+async function fetchSuiDailyPrices(days, names, mode) {
+    console.log(`[price] Fetching ${days} days of SUI/USD from [${names.join(', ')}] (${mode})…`);
+
+    const prices = {};
+    const sources = {};
+
+    if (mode === 'median') {
+        const byDate = {};
+        for (const name of names) {
+            for (const r of await fetchFrom(name, days)) {
+                (byDate[r.date] ||= []).push({ name, priceUsd: r.priceUsd });
+            }
+        }
+        for (const [date, quotes] of Object.entries(byDate)) {
+            prices[date] = median(quotes.map((q) => q.priceUsd));
+            sources[date] = quotes.length === 1
+                ? quotes[0].name
+                : `median(${quotes.map((q) => q.name).join('+')})`;
+        }
+    } else {
+        const wanted = expectedDates(days);
+        for (const name of names) {
+            for (const r of await fetchFrom(name, days)) {
+                if (prices[r.date] !== undefined) continue;
+                prices[r.date] = r.priceUsd;
+                sources[r.date] = name;
+            }
+            if (wanted.every((d) => prices[d] !== undefined)) break;
+        }
+    }
+
+    if (!Object.keys(prices).length) {
+        console.warn('[price] No price data from any provider — USD metrics will be N/A.');
+    }
+    return { prices, sources };
+}
+
 /**
  * Convenience: { 'YYYY-MM-DD': priceUsd }
  * @param {number} days
  * @returns {Promise<Record<string, number>>}
  */
 async function getSuiDailyPriceMap(days = 120) {
-    const rows = await getTokenPriceHistory('sui', days, 'usd');
-    const map = {};
-    for (const r of rows) map[r.date] = r.priceUsd;
-    return map;
+    const { prices } = await getSuiDailyPrices(days);
+    return prices;
 }
 
 module.exports = {
     getTokenPriceHistory,
+    getSuiDailyPrices,
     getSuiDailyPriceMap,
-};
\ No newline at end of file
+};
@@ -1,81 +1,552 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { withRetry, isRetryable } = require("./retry");
+const { getConfig } = require("./config");
+const { txExplorerUrl } = require("./networks");
+const { fixtureMode, fixtureProvider, recordedValue, stubSigner } = require("./fixtures");
+// @mysten/sui.js has no root export: everything comes from its subpaths
+const { SuiClient } = require("@mysten/sui.js/client");
+const { TransactionBlock } = require("@mysten/sui.js/transactions");
+const { Ed25519Keypair } = require("@mysten/sui.js/keypairs/ed25519");
+const { Secp256k1Keypair } = require("@mysten/sui.js/keypairs/secp256k1");
+const { Secp256r1Keypair } = require("@mysten/sui.js/keypairs/secp256r1");
 const {
-    RawSigner,
-    TransactionBlock,
-    JsonRpcProvider,
-    Connection,
-    Ed25519Keypair,
-    PRIVATE_KEY_SIZE,
-    SIGNATURE_SCHEME_TO_FLAG,
-    fromB64,
-} = require("@mysten/sui.js");
+    PRIVATE_KEY_SIZE, SUI_PRIVATE_KEY_PREFIX, SIGNATURE_FLAG_TO_SCHEME, decodeSuiPrivateKey, parseSerializedSignature,
+} = require("@mysten/sui.js/cryptography");
+const { MultiSigPublicKey, publicKeyFromSuiBytes } = require("@mysten/sui.js/multisig");
+const { publicKeyFromRawBytes } = require("@mysten/sui.js/verify");
+const { fromB64, toB64, normalizeSuiAddress, SUI_SYSTEM_STATE_OBJECT_ID } = require("@mysten/sui.js/utils");
 
+// Post-submit quote read-back (verifyExecution)
+const VERIFY_WAIT_MS = 60_000;
+const VERIFY_READS = 4;
+const VERIFY_READ_DELAY_MS = 3_000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Private key formats accepted by getSigner():
+ *   suiprivkey1…        bech32, flag byte + 32-byte secret (current `sui keytool export`; decodeSuiPrivateKey)
+ *   base64(flag || sk)  33 bytes, the legacy sui.keystore format
+ *   base64(sk)          32 bytes without a flag, read as Ed25519
+ * Flags: 0x00 Ed25519, 0x01 Secp256k1, 0x02 Secp256r1.
+ */
+const KEYPAIRS = {
+    ED25519: Ed25519Keypair,
+    Secp256k1: Secp256k1Keypair,
+    Secp256r1: Secp256r1Keypair,
+};
+
+/**
+ * The request_set_gas_price move call, shared by the signed and the offline flows.
+ * @returns {TransactionBlock}
+ */
+function buildGasPriceTx(OpCapId, gasBudget, gasPrice) {
+    const tx = new TransactionBlock();
+    tx.setGasBudget(parseInt(gasBudget));
+    tx.moveCall({
+        target: "0x3::sui_system::request_set_gas_price",
+        arguments: [
+            tx.object(SUI_SYSTEM_STATE_OBJECT_ID),
+            tx.object(OpCapId),
+            tx.pure.u64(gasPrice),
+        ],
+    });
+    return tx;
+}
+
+/** Digest of built (or base64) tx bytes, computed locally. */
+function txDigest(bytes) {
+    return TransactionBlock.from(bytes).getDigest();
+}
+
+function emptyResult() {
+    return {
+        ok: false,
+        digest: null,
+        status: "error",
+        error: null,
+        gasUsed: null,
+        quoteBefore: null,
+        quoteAfter: null,
+        verified: false,
+        preflight: null,
+    };
+}
+
+/**
+ * Fill `out` from an executed tx and verify the quote now equals gasPrice.
+ * The quote is read from the endpoint that executed the tx, once it has the tx, and read again
+ * a few times before a mismatch is reported: another (lagging) node could still show the old one.
+ * Never throws once the tx landed: a failed check leaves status 'success' with verified false.
+ */
+async function verifyExecution(out, { result, url }, OpCapId, gasPrice) {
+    out.digest = result.effects.transactionDigest;
+    out.status = result.effects.status.status;
+    out.gasUsed = summarizeGasUsed(result.effects.gasUsed);
+    console.log(`Transaction Digest: ${txExplorerUrl(out.digest, getConfig().EXPLORER_TX_URL)}`);
+    console.log(`Status: ${JSON.stringify(result.effects.status)}`);
+
+    if (out.status !== "success") {
+        out.error = result.effects.status.error || "transaction failed";
+        return out;
+    }
+
+    const provider = getProvider(url);
+    for (let read = 1; read <= VERIFY_READS; read++) {
+        try {
+            if (read === 1) await provider.waitForTransactionBlock({ digest: out.digest, timeout: VERIFY_WAIT_MS });
+            out.quoteAfter = await readValidatorGasQuote(provider, OpCapId);
+            out.verified = out.quoteAfter.nextEpochGasPrice === Number(gasPrice);
+            out.error = out.verified ? null : `next-epoch quote is ${out.quoteAfter.nextEpochGasPrice}, expected ${gasPrice}`;
+        } catch (e) {
+            out.error = `quote read-back failed: ${e?.message || e}`;
+        }
+        if (out.verified) break;
+        if (read < VERIFY_READS) {
+            console.warn(`Quote not confirmed yet via ${url} (${out.error}); reading again in ${VERIFY_READ_DELAY_MS} ms`);
+            await sleep(VERIFY_READ_DELAY_MS);
+        }
+    }
+    if (!out.verified) {
+        console.error(`Transaction ${out.digest} landed but the quote could not be verified: ${out.error}`);
+        return out;
+    }
+
+    console.log("Gas price updated successfully.");
+    out.ok = true;
+    return out;
+}
+
+/**
+ * Submit request_set_gas_price and verify it by reading the validator's
+ * next-epoch gas price quote back from the system state.
+ * When replaying fixtures privateKey may be null: the stub signer stands in for it.
+ *
+ * @returns {Promise<{
+ *   ok: boolean,            // tx succeeded AND the quote now equals gasPrice
+ *                           // (status 'success' with ok false: landed, quote not confirmed)
+ *   digest: string|null,
+ *   status: string,         // 'success' | 'failure' | 'error'
+ *   error: string|null,
+ *   gasUsed: {computationCost:number, storageCost:number, storageRebate:number, netMist:number}|null,
+ *   quoteBefore: Object|null,  // getValidatorGasQuote() before submitting
+ *   quoteAfter: Object|null,   // getValidatorGasQuote() after a successful tx
+ *   verified: boolean,
+ *   preflight: Object|null,    // preflightGasPriceTx() result; the tx is only sent when it is ok
+ * }>}
+ */
 const updateGasPrice = async (
     network,
     rpc,
     privateKey,
     OpCapId,
     gasBudget,
-    gasPrice
+    gasPrice,
+    { budgetMode = "fixed", marginPct = DEFAULT_BUDGET_MARGIN_PCT } = {}
 ) => {
+    const out = emptyResult();
     try {
-        const provider = getProvider(rpc);
-        const signer = getSigner(privateKey, provider);
-
-        const tx = new TransactionBlock();
-        tx.setGasBudget(parseInt(gasBudget));
-        tx.moveCall({
-            target: "0x3::sui_system::request_set_gas_price",
-            arguments: [
-                tx.pure("0x5"),
-                tx.object(OpCapId),
-                tx.pure(gasPrice),
-            ],
+        out.quoteBefore = await getValidatorGasQuote(rpc, OpCapId);
+        console.log(`Quote before: ${out.quoteBefore.nextEpochGasPrice} MIST (validator ${out.quoteBefore.name})`);
+
+        const address = signerAddress(OpCapId, () => keypairFromPrivateKey(privateKey).address);
+        out.preflight = await preflightGasPriceTx(rpc, { sender: address, OpCapId, gasBudget, gasPrice, budgetMode, marginPct });
+        if (!out.preflight.ok) {
+            out.error = `pre-flight failed: ${out.preflight.error}`;
+            console.error(out.error);
+            return out;
+        }
+
+        // Sign once: every retry sends the same bytes, so it can only land once
+        const signed = await withProvider(rpc, "sign request_set_gas_price", async (provider) => {
+            const tx = buildGasPriceTx(OpCapId, out.preflight.gasBudget, gasPrice);
+            tx.setSender(address);
+            const bytes = await tx.build({ client: provider });
+            return (fixtureMode() === "replay" ? stubSigner() : getSigner(privateKey)).signTransactionBlock(bytes);
         });
         console.log("Updating gas price...");
-        const result = await signer.signAndExecuteTransactionBlock({
-            transactionBlock: tx,
-            options: {
-                showEffects: true,
-                showEvents: true,
-                showBalanceChanges: true,
-            },
+        const executed = await executeWithRetry(rpc, {
+            txBytes: signed.bytes,
+            signature: signed.signature,
         });
-
-        console.log(`Transaction Digest: https://suiscan.xyz/mainnet/tx/${result.effects.transactionDigest}`);
-        console.log(`Status: ${JSON.stringify(result.effects.status)}`);
-        if (result.effects.status.status === "success") {
-            console.log("Gas price updated successfully.");
-            return true;
-        }
+        return await verifyExecution(out, executed, OpCapId, gasPrice);
     } catch (e) {
         console.error("Error updating gas price:", e);
-        return false;
+        out.error = e?.message || String(e);
+        return out;
+    }
+};
+
+/* --------------------------------- pre-flight -------------------------------- */
+
+const DEFAULT_BUDGET_MARGIN_PCT = 20;
+// Budget for the estimating dry run (capped by the balance): ample for request_set_gas_price
+const PREFLIGHT_PROBE_BUDGET = 1_000_000_000;
+
+/**
+ * Prove request_set_gas_price would go through for `sender` without executing it:
+ *   - the operation cap exists and is owned by the sender
+ *   - a dry run succeeds; its computation + storage cost plus marginPct is the budget needed
+ *   - budgetMode 'auto' takes that budget, 'fixed' fails when gasBudget is below it
+ *   - the sender's SUI balance covers the budget
+ *
+ * @returns {Promise<{ok: boolean, error: string|null, sender: string, balanceMist: number|null,
+ *   estimatedGasMist: number|null, requiredBudgetMist: number|null, gasBudget: number, budgetMode: string}>}
+ */
+const preflightGasPriceTx = (rpc, opts) => withProvider(rpc, "pre-flight", (provider) => preflight(provider, opts));
+
+async function preflight(provider, { sender, OpCapId, gasBudget, gasPrice, budgetMode = "fixed", marginPct = DEFAULT_BUDGET_MARGIN_PCT }) {
+    const owner = normalizeSuiAddress(sender);
+    const report = {
+        ok: false,
+        error: null,
+        sender: owner,
+        balanceMist: null,
+        estimatedGasMist: null,
+        requiredBudgetMist: null,
+        gasBudget: Number(gasBudget),
+        budgetMode,
+    };
+    const fail = (error) => {
+        report.error = error;
+        return report;
+    };
+
+    const cap = await provider.getObject({ id: OpCapId, options: { showOwner: true, showType: true } });
+    if (!cap?.data) return fail(`operation cap ${OpCapId} does not exist`);
+    if (!String(cap.data.type).endsWith("::validator_cap::UnverifiedValidatorOperationCap")) {
+        return fail(`object ${OpCapId} is a ${cap.data.type}, not a validator operation cap`);
+    }
+    const capOwner = cap.data.owner?.AddressOwner;
+    if (!capOwner || normalizeSuiAddress(capOwner) !== owner) {
+        return fail(`operation cap ${OpCapId} is owned by ${capOwner ?? JSON.stringify(cap.data.owner)}, not the signer ${owner}`);
+    }
+
+    report.balanceMist = Number((await provider.getBalance({ owner })).totalBalance);
+    if (!(report.balanceMist > 0)) return fail(`signer ${owner} holds no SUI to pay for gas`);
+
+    const tx = buildGasPriceTx(OpCapId, Math.min(report.balanceMist, Math.max(report.gasBudget, PREFLIGHT_PROBE_BUDGET)), gasPrice);
+    tx.setSender(owner);
+    const dry = await provider.dryRunTransactionBlock({ transactionBlock: await tx.build({ client: provider }) });
+    if (dry.effects.status.status !== "success") {
+        return fail(`dry run failed: ${dry.effects.status.error}`);
+    }
+    report.estimatedGasMist = Number(dry.effects.gasUsed.computationCost) + Number(dry.effects.gasUsed.storageCost);
+    report.requiredBudgetMist = Math.ceil(report.estimatedGasMist * (1 + marginPct / 100));
+
+    if (budgetMode === "auto") {
+        report.gasBudget = report.requiredBudgetMist;
+    } else if (report.gasBudget < report.requiredBudgetMist) {
+        return fail(
+            `gas budget ${report.gasBudget} MIST is below the estimate ${report.estimatedGasMist} MIST + ${marginPct}% ` +
+            `(${report.requiredBudgetMist}); raise GAS_BUDGET or set GAS_BUDGET_MODE=auto`
+        );
+    }
+    if (report.balanceMist < report.gasBudget) {
+        return fail(`signer ${owner} holds ${report.balanceMist} MIST, less than the gas budget of ${report.gasBudget} MIST`);
+    }
+
+    console.log(
+        `Pre-flight OK: signer ${owner}, balance ${report.balanceMist} MIST, ` +
+        `estimated gas ${report.estimatedGasMist} MIST, budget ${report.gasBudget} MIST (${budgetMode})`
+    );
+    report.ok = true;
+    return report;
+}
+
+/* ------------------------------ offline signing ------------------------------ */
+
+/**
+ * Build request_set_gas_price for `sender` without signing it: picks the sender's largest
+ * SUI coin as gas and fixes the gas price, so the bytes can be signed elsewhere
+ * (e.g. `sui keytool sign --data <txBytes>`).
+ *
+ * Runs the same pre-flight as updateGasPrice(); the budget it settles on is the one used.
+ *
+ * @returns {Promise<{txBytes: string, digest: string, sender: string, gasPayment: Object,
+ *   gasBudget: number, referenceGasPrice: number, quoteBefore: Object, preflight: Object}>}  txBytes in base64
+ */
+const buildUnsignedGasPriceTx = (rpc, opts) =>
+    withProvider(rpc, "build request_set_gas_price", (provider) => buildUnsigned(provider, opts));
+
+async function buildUnsigned(provider, { sender, OpCapId, gasBudget: configuredBudget, gasPrice, budgetMode, marginPct }) {
+    const owner = normalizeSuiAddress(sender);
+    const quoteBefore = await readValidatorGasQuote(provider, OpCapId);
+    const check = await preflight(provider, { sender: owner, OpCapId, gasBudget: configuredBudget, gasPrice, budgetMode, marginPct });
+    if (!check.ok) throw new Error(`pre-flight failed: ${check.error}`);
+    const gasBudget = check.gasBudget;
+
+    const { data: coins } = await provider.getCoins({ owner, coinType: "0x2::sui::SUI" });
+    const coin = coins.reduce((best, c) => (!best || BigInt(c.balance) > BigInt(best.balance) ? c : best), null);
+    if (!coin || BigInt(coin.balance) < BigInt(gasBudget)) {
+        throw new Error(`${owner} has no SUI coin covering the gas budget of ${gasBudget} MIST`);
+    }
+    const referenceGasPrice = Number(await provider.getReferenceGasPrice());
+
+    const tx = buildGasPriceTx(OpCapId, gasBudget, gasPrice);
+    tx.setSender(owner);
+    tx.setGasPrice(referenceGasPrice);
+    tx.setGasPayment([{ objectId: coin.coinObjectId, version: coin.version, digest: coin.digest }]);
+    const bytes = await tx.build({ client: provider });
+
+    return {
+        txBytes: toB64(bytes),
+        digest: await txDigest(bytes),
+        sender: owner,
+        gasPayment: { objectId: coin.coinObjectId, version: coin.version, balance: String(coin.balance) },
+        gasBudget,
+        referenceGasPrice,
+        quoteBefore,
+        preflight: check,
+    };
+}
+
+/**
+ * Combine partial signatures (serialized flag || sig || pubkey, as `sui keytool sign`
+ * prints them) into one multisig signature.
+ *
+ * @param {string[]} signatures
+ * @param {{publicKeys: Array<{publicKey: string, weight: number}>, threshold: number}} multisig
+ *        publicKey is base64 flag || key (`sui keytool list`)
+ * @returns {{signature: string, address: string, weight: number}}
+ */
+function combineMultisig(signatures, { publicKeys, threshold }) {
+    const members = publicKeys.map(({ publicKey, weight }) => {
+        const flag = fromB64(publicKey)[0];
+        if (!SIGNATURE_FLAG_TO_SCHEME[flag]) throw new Error(`multisig public key ${publicKey}: unsupported flag ${flag}`);
+        return { publicKey: publicKeyFromSuiBytes(publicKey), weight };
+    });
+    const multisig = MultiSigPublicKey.fromPublicKeys({ threshold, publicKeys: members });
+
+    let weight = 0;
+    for (const sig of signatures) {
+        const parsed = parseSerializedSignature(sig);
+        const signer = publicKeyFromRawBytes(parsed.signatureScheme, parsed.publicKey).toSuiAddress();
+        const member = members.find((m) => m.publicKey.toSuiAddress() === signer);
+        if (!member) throw new Error(`signature by ${signer} is not from a multisig member`);
+        weight += member.weight;
+    }
+    if (weight < threshold) {
+        throw new Error(`signatures carry weight ${weight}, the multisig threshold is ${threshold}`);
+    }
+    return {
+        signature: multisig.combinePartialSignatures(signatures),
+        address: normalizeSuiAddress(multisig.toSuiAddress()),
+        weight,
+    };
+}
+
+/**
+ * Execute tx bytes signed offline and verify the quote like updateGasPrice().
+ * @returns {Promise<Object>} same shape as updateGasPrice()
+ */
+const executeSignedGasPriceTx = async (rpc, { txBytes, signature, OpCapId, gasPrice }) => {
+    const out = emptyResult();
+    try {
+        out.quoteBefore = await getValidatorGasQuote(rpc, OpCapId);
+        console.log("Executing signed transaction...");
+        const executed = await executeWithRetry(rpc, { txBytes, signature });
+        return await verifyExecution(out, executed, OpCapId, gasPrice);
+    } catch (e) {
+        console.error("Error executing signed transaction:", e);
+        out.error = e?.message || String(e);
+        return out;
     }
 };
 
+/**
+ * Read our validator's gas price quote from the latest Sui system state.
+ * The validator is resolved from the operation cap's authorizer address.
+ *
+ * @returns {Promise<{validatorAddress:string, name:string, epoch:number, gasPrice:number, nextEpochGasPrice:number}>}
+ */
+const getValidatorGasQuote = async (rpc, OpCapId) => {
+    return withProvider(rpc, "read validator quote", (provider) => readValidatorGasQuote(provider, OpCapId));
+};
+
+/* ------------------------------- retry / failover ------------------------------ */
+
+const EXECUTE_OPTIONS = { showEffects: true, showEvents: true, showBalanceChanges: true };
+
+/**
+ * Run `fn(provider)` against `rpc` — one fullnode URL or an ordered list — retrying
+ * retryable failures on the next endpoint (see retry.js).
+ */
+function withProvider(rpc, label, fn) {
+    return withRetry((url) => fn(getProvider(url)), { endpoints: rpc, label });
+}
+
+/**
+ * Execute signed tx bytes with retry/failover. A failed attempt may still have landed
+ * (e.g. the response was lost), so every retry first looks the digest up and, if the tx
+ * exists, returns it instead of sending it again.
+ * @returns {Promise<{result: Object, url: string}>} the tx and the endpoint that executed (or found) it
+ */
+async function executeWithRetry(rpc, { txBytes, signature }) {
+    const bytes = typeof txBytes === "string" ? fromB64(txBytes) : txBytes;
+    const digest = await txDigest(bytes);
+    return withRetry(async (url, attempt) => {
+        const provider = getProvider(url);
+        if (attempt > 0) {
+            const landed = await findTransaction(provider, digest);
+            if (landed) {
+                console.log(`Transaction ${digest} already landed; not resubmitting.`);
+                return { result: landed, url };
+            }
+        }
+        const result = await provider.executeTransactionBlock({ transactionBlock: bytes, signature, options: EXECUTE_OPTIONS });
+        return { result, url };
+    }, { endpoints: rpc, label: `execute ${digest}` });
+}
+
+/** @returns {Promise<Object|null>} the executed tx, or null when the node does not know it */
+async function findTransaction(provider, digest) {
+    try {
+        return await provider.getTransactionBlock({ digest, options: EXECUTE_OPTIONS });
+    } catch (e) {
+        if (isRetryable(e)) throw e;
+        return null;
+    }
+}
+
 module.exports = {
     updateGasPrice,
+    getValidatorGasQuote,
+    getProvider,
+    withProvider,
+    preflightGasPriceTx,
+    buildUnsignedGasPriceTx,
+    combineMultisig,
+    executeSignedGasPriceTx,
+    keypairFromPrivateKey,
+    signerAddress,
+    readKeystoreKey,
 };
 
-function getProvider(fullnode, faucet) {
+async function readValidatorGasQuote(provider, OpCapId) {
+    const cap = await provider.getObject({ id: OpCapId, options: { showContent: true } });
+    const authorizer = cap?.data?.content?.fields?.authorizer_validator_address;
+    if (!authorizer) {
+        throw new Error(`object ${OpCapId} is not a validator operation cap`);
+    }
+    const validatorAddress = normalizeSuiAddress(authorizer);
+
+    const state = await provider.getLatestSuiSystemState();
+    const v = state.activeValidators.find(
+        (x) => normalizeSuiAddress(x.suiAddress) === validatorAddress
+    );
+    if (!v) {
+        throw new Error(`validator ${validatorAddress} is not in the active set`);
+    }
+    return {
+        validatorAddress,
+        name: v.name,
+        epoch: Number(state.epoch),
+        gasPrice: Number(v.gasPrice),
+        nextEpochGasPrice: Number(v.nextEpochGasPrice),
+    };
+}
+
+function summarizeGasUsed(gasUsed) {
+    if (!gasUsed) return null;
+    const computationCost = Number(gasUsed.computationCost);
+    const storageCost = Number(gasUsed.storageCost);
+    const storageRebate = Number(gasUsed.storageRebate);
+    return {
+        computationCost,
+        storageCost,
+        storageRebate,
+        netMist: computationCost + storageCost - storageRebate,
+    };
+}
+
+/**
+ * A fullnode JSON-RPC client (SuiClient) for `fullnode`.
+ * Under FIXTURE_MODE its calls are recorded / replayed (fixtures.js).
+ */
+function getProvider(fullnode) {
     console.log("Getting provider...");
-    const connection = new Connection({
-        fullnode: fullnode,
-        faucet: faucet,
-    });
-    return new JsonRpcProvider(connection);
+    return fixtureProvider(() => new SuiClient({ url: fullnode }));
 }
 
-function getSigner(privateKey, provider) {
-    console.log("Getting signer...");
-    const raw = fromB64(privateKey);
-    if (
-        raw[0] !== SIGNATURE_SCHEME_TO_FLAG.ED25519 ||
-        raw.length !== PRIVATE_KEY_SIZE + 1
-    ) {
-        throw new Error("invalid key");
+/**
+ * The address signing for `OpCapId`. Recorded, so a replay (which has no key and signs with
+ * the stub signer) uses the same sender.
+ */
+function signerAddress(OpCapId, derive) {
+    return recordedValue(`signer:${OpCapId}`, derive);
+}
+
+/**
+ * Decode a private key in any supported format (see KEYPAIRS above).
+ * @returns {{scheme: string, keypair: Object, address: string}}
+ */
+function keypairFromPrivateKey(privateKey) {
+    const key = String(privateKey).trim();
+    let scheme;
+    let secretKey;
+    if (key.startsWith(SUI_PRIVATE_KEY_PREFIX)) {
+        try {
+            ({ schema: scheme, secretKey } = decodeSuiPrivateKey(key));
+        } catch (e) {
+            throw new Error(`invalid ${SUI_PRIVATE_KEY_PREFIX} key: ${e.message}`);
+        }
+        if (secretKey.length !== PRIVATE_KEY_SIZE) {
+            throw new Error(`invalid ${SUI_PRIVATE_KEY_PREFIX} key: ${secretKey.length + 1} bytes, expected ${PRIVATE_KEY_SIZE + 1}`);
+        }
+    } else {
+        const raw = fromB64(key);
+        if (raw.length === PRIVATE_KEY_SIZE) {
+            [scheme, secretKey] = ["ED25519", raw];
+        } else if (raw.length === PRIVATE_KEY_SIZE + 1) {
+            [scheme, secretKey] = [SIGNATURE_FLAG_TO_SCHEME[raw[0]], raw.slice(1)];
+        } else {
+            throw new Error(
+                `invalid key: ${raw.length} bytes after base64 decoding, expected ${PRIVATE_KEY_SIZE + 1} (flag + key) ` +
+                `or ${PRIVATE_KEY_SIZE} (Ed25519 without flag), or a ${SUI_PRIVATE_KEY_PREFIX}1… string`
+            );
+        }
     }
 
-    const keypair = Ed25519Keypair.fromSecretKey(raw.slice(1));
-    return new RawSigner(keypair, provider);
+    const Keypair = KEYPAIRS[scheme];
+    if (!Keypair) {
+        throw new Error(`invalid key: unsupported signature scheme ${scheme ?? "(unknown flag)"}`);
+    }
+    const keypair = Keypair.fromSecretKey(secretKey);
+    return { scheme, keypair, address: normalizeSuiAddress(keypair.getPublicKey().toSuiAddress()) };
+}
+
+/**
+ * Find the key for `address` in a Sui CLI keystore (a JSON array of base64 flag || key).
+ * @returns {string} the matching entry, usable as getSigner()'s privateKey
+ */
+function readKeystoreKey(file, address) {
+    const resolved = file.startsWith("~") ? path.join(os.homedir(), file.slice(1)) : file;
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } catch (e) {
+        throw new Error(`cannot read keystore ${resolved}: ${e.message}`);
+    }
+    if (!Array.isArray(entries)) throw new Error(`keystore ${resolved} is not a JSON array`);
+
+    const wanted = normalizeSuiAddress(address);
+    for (const entry of entries) {
+        try {
+            if (keypairFromPrivateKey(entry).address === wanted) return entry;
+        } catch {
+            // entries in a scheme we cannot sign with are not the one we want
+        }
+    }
+    throw new Error(`no key for ${wanted} in keystore ${resolved}`);
+}
+
+/** The keypair for `privateKey`; signTransactionBlock(bytes) gives { bytes, signature }. */
+function getSigner(privateKey) {
+    console.log("Getting signer...");
+    const { scheme, keypair, address } = keypairFromPrivateKey(privateKey);
+    console.log(`Signer: ${address} (${scheme})`);
+    return keypair;
 }
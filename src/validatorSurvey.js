@@ -0,0 +1,153 @@
+/**
+ * validatorSurvey.js
+ *
+ * Network-wide gas price survey analytics.
+ *
+ * The reference gas price is not our quote: at each epoch boundary the chain sorts every
+ * active validator's quote and takes the price at which the 2/3 quorum of voting power
+ * (stake-derived, 10_000 total) is reached. Walking from the HIGHEST quote down, the result
+ * is the first price where the accumulated voting power reaches total − quorum (3_333).
+ *
+ * This module fetches the active set (stake, voting power, current and next-epoch quotes)
+ * and reports:
+ *   - rgpFromCurrentQuotes    : survey over today's gas_price values
+ *   - rgpFromNextEpochQuotes  : survey over next_epoch_gas_price (what our submission changes)
+ *   - rgpWithProposal         : same, with our quote replaced by the proposal
+ *   - where the proposal ranks and whether it sits above, at or below the cutoff
+ *
+ * Run standalone to print the full validator table:
+ *   node src/validatorSurvey.js
+ */
+
+const { withProvider } = require('./updateGasPrice');
+const { getConfig, requireSetting } = require('./config');
+
+const QUORUM_BPS = 6_667;
+const TOTAL_BPS = 10_000;
+
+/* ---------------------------------- fetch ------------------------------------ */
+
+/**
+ * @param {string|string[]} rpc Fullnode RPC URL(s), in order of preference
+ * @returns {Promise<{ epoch: number, validators: Array<Object> }>}
+ */
+async function fetchValidatorSurvey(rpc) {
+    const state = await withProvider(rpc, 'validator survey', (provider) => provider.getLatestSuiSystemState());
+    const validators = state.activeValidators.map((v) => ({
+        address: v.suiAddress,
+        name: v.name,
+        stakeMist: Number(v.stakingPoolSuiBalance),
+        votingPower: Number(v.votingPower),
+        gasPrice: Number(v.gasPrice),
+        nextEpochGasPrice: Number(v.nextEpochGasPrice),
+    }));
+    return { epoch: Number(state.epoch), validators };
+}
+
+/* --------------------------------- analysis ---------------------------------- */
+
+/**
+ * The survey rule used on-chain: pop quotes from the highest down until the popped
+ * weight reaches total − quorum; the last popped price is the reference gas price.
+ *
+ * @param {Array<{price:number, weight:number}>} entries
+ */
+function surveyPrice(entries) {
+    const total = entries.reduce((s, e) => s + e.weight, 0);
+    if (!entries.length || total <= 0) return null;
+    const threshold = (total * (TOTAL_BPS - QUORUM_BPS)) / TOTAL_BPS;
+
+    const sorted = [...entries].sort((a, b) => b.price - a.price);
+    let acc = 0;
+    let result = null;
+    for (const e of sorted) {
+        if (acc >= threshold) break;
+        result = e.price;
+        acc += e.weight;
+    }
+    return result;
+}
+
+/**
+ * @param {{ epoch:number, validators:Array<Object> }} survey
+ * @param {{ ourAddress?: string|null, proposal?: number|null }} opts
+ */
+function analyzeSurvey(survey, { ourAddress = null, proposal = null } = {}) {
+    const norm = (a) => String(a || '').toLowerCase();
+    const vs = survey.validators;
+    const weightOf = (v) => v.votingPower;
+    const ours = ourAddress ? vs.find((v) => norm(v.address) === norm(ourAddress)) : null;
+
+    const rgpFromCurrentQuotes = surveyPrice(vs.map((v) => ({ price: v.gasPrice, weight: weightOf(v) })));
+    const rgpFromNextEpochQuotes = surveyPrice(vs.map((v) => ({ price: v.nextEpochGasPrice, weight: weightOf(v) })));
+
+    const out = {
+        epoch: survey.epoch,
+        validators: vs.length,
+        totalStakeMist: vs.reduce((s, v) => s + v.stakeMist, 0),
+        rgpFromCurrentQuotes,
+        rgpFromNextEpochQuotes,
+        ourValidator: ours ? ours.name : null,
+        ourNextEpochQuote: ours ? ours.nextEpochGasPrice : null,
+        proposal: Number.isFinite(proposal) ? proposal : null,
+        rgpWithProposal: null,
+        proposalRank: null,            // 1 = lowest quote
+        votingPowerBelowPct: null,     // share of voting power quoting strictly below the proposal
+        position: null,                // 'above' | 'at' | 'below' the cutoff
+        movesRgp: null,
+    };
+    if (!Number.isFinite(proposal)) return out;
+
+    const others = vs.filter((v) => v !== ours);
+    const withProposal = others.map((v) => ({ price: v.nextEpochGasPrice, weight: weightOf(v) }));
+    if (ours) withProposal.push({ price: proposal, weight: weightOf(ours) });
+
+    const total = vs.reduce((s, v) => s + weightOf(v), 0);
+    out.rgpWithProposal = surveyPrice(withProposal);
+    out.proposalRank = others.filter((v) => v.nextEpochGasPrice < proposal).length + 1;
+    out.votingPowerBelowPct = total > 0
+        ? (others.filter((v) => v.nextEpochGasPrice < proposal).reduce((s, v) => s + weightOf(v), 0) / total) * 100
+        : null;
+    out.position = proposal > out.rgpWithProposal ? 'above' : proposal < out.rgpWithProposal ? 'below' : 'at';
+    out.movesRgp = ours ? out.rgpWithProposal !== rgpFromNextEpochQuotes : null;
+    return out;
+}
+
+/* ------------------------------ CLI execution -------------------------------- */
+
+async function main() {
+    const config = getConfig();
+    const rpc = requireSetting(config, 'RPC_URL');
+
+    const survey = await fetchValidatorSurvey(rpc);
+    console.log(`\n=== Validator gas price survey (${config.SUI_NETWORK}, epoch ${survey.epoch}) ===`);
+    console.table(
+        [...survey.validators]
+            .sort((a, b) => a.nextEpochGasPrice - b.nextEpochGasPrice)
+            .map((v) => ({
+                name: v.name,
+                stakeSui: Math.round(v.stakeMist / 1e9),
+                votingPower: v.votingPower,
+                gasPrice: v.gasPrice,
+                nextEpochGasPrice: v.nextEpochGasPrice,
+            }))
+    );
+
+    console.table([analyzeSurvey(survey, {
+        ourAddress: config.VALIDATOR_ADDRESS,
+        proposal: config.SURVEY_PROPOSAL,
+    })]);
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error('[fatal]', e);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    fetchValidatorSurvey,
+    analyzeSurvey,
+    surveyPrice,
+};
@@ -0,0 +1,116 @@
+/**
+ * validators.js
+ *
+ * The validators one autopilot instance manages.
+ *
+ * Source (first match wins):
+ *   VALIDATORS_FILE - path to a JSON array of entries
+ *   VALIDATORS      - the same array inline (a JSON string in env, a list in the config file)
+ *   otherwise       - a single 'default' validator built from OPERATION_CAP_ID /
+ *                     <NETWORK>_OPERATION_PRIVATE_KEY / SIGNER_ADDRESS / VALIDATOR_ADDRESS
+ *                     (the original setup; on mainnet the key env is MAINNET_OPERATION_PRIVATE_KEY)
+ *
+ * Entry:
+ *   {
+ *     "name": "alpha",                             // label for logs, run state and metrics
+ *     "operationCapId": "0x…",
+ *     "privateKeyEnv": "ALPHA_OPERATION_PRIVATE_KEY", // env var holding the key; keys never live in the file
+ *     "signerAddress": "0x…",                      // optional; when the env var is unset, the key for this
+ *                                                  // address is read from SUI_KEYSTORE_PATH
+ *     "validatorAddress": "0x…",                   // optional; defaults to the op cap's authorizer
+ *     "gasBudget": 10000000,                       // optional; defaults to GAS_BUDGET
+ *     "policy": { "targetAvgTxUsd": 0.004, "guardRailsPct": [-20, 20] }  // optional policy overrides
+ *   }
+ *
+ * `policy` keys are the fields of config.POLICY_SETTINGS; each value is validated like the
+ * setting it overrides (guardRailsPct like RGP_GUARD_RAILS, jitterRange like RGP_JITTER_RANGE, …).
+ */
+
+const fs = require('fs');
+const { getConfig, coerceSetting, POLICY_SETTINGS } = require('./config');
+const { networkPrefix } = require('./networks');
+
+const POLICY_KEYS = Object.keys(POLICY_SETTINGS);
+
+function defaultValidator(config) {
+    return {
+        name: 'default',
+        operationCapId: config.OPERATION_CAP_ID,
+        privateKeyEnv: `${networkPrefix(config.SUI_NETWORK)}OPERATION_PRIVATE_KEY`,
+        signerAddress: config.SIGNER_ADDRESS,
+        validatorAddress: config.VALIDATOR_ADDRESS,
+        gasBudget: null,
+        policy: {},
+    };
+}
+
+function normalizeEntry(e, i) {
+    const where = `validator #${i + 1}`;
+    if (!e || typeof e !== 'object') throw new Error(`${where}: must be an object`);
+    if (typeof e.name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(e.name)) {
+        throw new Error(`${where}: 'name' is required and may only contain letters, digits, '_', '.', '-'`);
+    }
+    if (typeof e.operationCapId !== 'string' || !e.operationCapId.startsWith('0x')) {
+        throw new Error(`${where} (${e.name}): 'operationCapId' must be a 0x-prefixed object id`);
+    }
+    if (typeof e.privateKeyEnv !== 'string' || !e.privateKeyEnv) {
+        throw new Error(`${where} (${e.name}): 'privateKeyEnv' must name the env var holding the key`);
+    }
+    if (e.signerAddress != null && (typeof e.signerAddress !== 'string' || !e.signerAddress.startsWith('0x'))) {
+        throw new Error(`${where} (${e.name}): 'signerAddress' must be a 0x-prefixed address`);
+    }
+    const policy = e.policy ?? {};
+    const unknown = Object.keys(policy).filter((k) => !POLICY_KEYS.includes(k));
+    if (unknown.length) {
+        throw new Error(`${where} (${e.name}): unknown policy key(s) ${unknown.join(', ')} (allowed: ${POLICY_KEYS.join(', ')})`);
+    }
+    for (const [field, value] of Object.entries(policy)) {
+        coerceSetting(POLICY_SETTINGS[field], value, `${where} (${e.name}) policy.${field}`);
+    }
+    return {
+        name: e.name,
+        operationCapId: e.operationCapId,
+        privateKeyEnv: e.privateKeyEnv,
+        signerAddress: e.signerAddress ?? null,
+        validatorAddress: e.validatorAddress ?? null,
+        gasBudget: e.gasBudget == null ? null : coerceSetting('GAS_BUDGET', e.gasBudget, `${where} (${e.name}) gasBudget`),
+        policy,
+    };
+}
+
+/**
+ * @returns {Array<{name, operationCapId, privateKeyEnv, signerAddress, validatorAddress, gasBudget, policy}>}
+ */
+function loadValidators(config = getConfig()) {
+    let list = null;
+    let source = null;
+    if (config.VALIDATORS_FILE) {
+        source = config.VALIDATORS_FILE;
+        try {
+            list = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (e) {
+            throw new Error(`Invalid validator list in ${source}: ${e.message}`);
+        }
+    } else if (config.VALIDATORS) {
+        source = 'VALIDATORS';
+        list = config.VALIDATORS;
+    }
+    if (list === null) return [defaultValidator(config)];
+
+    if (!Array.isArray(list) || !list.length) {
+        throw new Error(`Invalid validator list in ${source}: expected a non-empty JSON array`);
+    }
+
+    const validators = list.map(normalizeEntry);
+    const seen = new Set();
+    for (const v of validators) {
+        if (seen.has(v.name)) throw new Error(`Duplicate validator name '${v.name}' in ${source}`);
+        seen.add(v.name);
+    }
+    return validators;
+}
+
+module.exports = {
+    loadValidators,
+    POLICY_KEYS,
+};
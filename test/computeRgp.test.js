@@ -0,0 +1,125 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeNewRgpFromInputs } = require('../src/computeRgp');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * usd_target with a target of 1 USD, all of it computation, so R_raw = currentRgp * k.
+ * Rails of ±10%, step 1 and no jitter unless overridden.
+ */
+function compute(k, options = {}, currentRgp = 1000) {
+    return computeNewRgpFromInputs(1, 1, 1 / k, currentRgp, {
+        guardRailsEnabled: true,
+        guardRailsPct: [-10, 10],
+        roundStep: 1,
+        minRgpMist: null,
+        maxRgpMist: null,
+        jitterRange: [0, 0],
+        ...options,
+    });
+}
+
+/* ---------------------------------- clamps ----------------------------------- */
+
+test('guard rails clamp the raw proposal to the band around the current RGP', () => {
+    let { calc, proposedRgpMist } = compute(2);
+    assert.equal(calc.R_raw, 2000);
+    assert.equal(calc.clampHit, 'max');
+    assert.equal(proposedRgpMist, 1100);
+
+    ({ calc, proposedRgpMist } = compute(0.5));
+    assert.equal(calc.clampHit, 'min');
+    assert.equal(proposedRgpMist, 900);
+
+    ({ calc, proposedRgpMist } = compute(1.05));
+    assert.equal(calc.clampHit, '');
+    assert.equal(proposedRgpMist, 1050);
+});
+
+test('disabled guard rails leave the raw proposal unclamped', () => {
+    const { calc, proposedRgpMist } = compute(2, { guardRailsEnabled: false });
+    assert.equal(calc.clampMin, null);
+    assert.equal(calc.clampMax, null);
+    assert.equal(calc.R_clamped, 2000);
+    assert.equal(calc.clampHit, '');
+    assert.equal(proposedRgpMist, 2000);
+});
+
+test('the absolute min/max apply after the rails and rounding', () => {
+    let { calc, proposedRgpMist } = compute(1.05, { maxRgpMist: 1020 });
+    assert.equal(calc.clampHit, 'abs_max');
+    assert.equal(proposedRgpMist, 1020);
+
+    ({ calc, proposedRgpMist } = compute(0.94, { minRgpMist: 980, roundStep: 100 }));
+    assert.equal(calc.R_rounded, 900);
+    assert.equal(calc.clampHit, 'abs_min');
+    assert.equal(proposedRgpMist, 980);
+
+    // A rail hit is reported before an absolute limit
+    assert.equal(compute(2, { maxRgpMist: 1050 }).calc.clampHit, 'max');
+});
+
+test('jitter only moves a clamped proposal back into the band', () => {
+    for (const draw of [0, 0.5, 0.999]) {
+        mock.method(Math, 'random', () => draw);
+        const atMax = compute(2, { jitterRange: [10, 10] }).calc;
+        assert.ok(atMax.jitter >= -10 && atMax.jitter <= 0, `jitter ${atMax.jitter} at the max clamp`);
+        const atMin = compute(0.5, { jitterRange: [10, 10] }).calc;
+        assert.ok(atMin.jitter >= 0 && atMin.jitter <= 10, `jitter ${atMin.jitter} at the min clamp`);
+        mock.restoreAll();
+    }
+});
+
+test('jitter inside the band never pushes the proposal past a rail', () => {
+    for (let epoch = 1; epoch <= 50; epoch++) {
+        const { calc } = compute(1.005, { guardRailsPct: [-1, 1], jitterRange: [10, 10], jitterMode: 'seeded', jitterSeed: 's', epoch });
+        const jittered = calc.R_clamped + calc.jitter;
+        assert.ok(jittered >= calc.clampMin && jittered <= calc.clampMax, `epoch ${epoch}: ${jittered}`);
+    }
+});
+
+/* ---------------------------------- jitter ----------------------------------- */
+
+test('random jitter spans the whole range without rails', () => {
+    mock.method(Math, 'random', () => 0);
+    assert.equal(compute(1, { guardRailsEnabled: false, jitterRange: [5, 7] }).calc.jitter, -5);
+    Math.random.mock.mockImplementation(() => 0.9999);
+    const { calc } = compute(1, { guardRailsEnabled: false, jitterRange: [5, 7] });
+    assert.equal(calc.jitter, 7);
+    assert.equal(calc.jitterSource, 'random');
+    assert.equal(calc.jitterSeed, null);
+});
+
+test('seeded jitter is the same for the same seed and epoch', () => {
+    const seeded = (epoch, extra = {}) =>
+        compute(1, { guardRailsEnabled: false, jitterRange: [10, 10], jitterMode: 'seeded', jitterSeed: 'alpha', epoch, ...extra }).calc;
+    const a = seeded(100);
+    const b = seeded(100);
+    assert.equal(a.jitterSource, 'seed');
+    assert.equal(a.jitterSeed, 'alpha');
+    assert.equal(a.jitterDraw, b.jitterDraw);
+    assert.equal(a.jitter, b.jitter);
+    assert.ok(a.jitterDraw >= 0 && a.jitterDraw < 1);
+
+    // Other epochs (and other seeds) draw differently
+    const draws = new Set(Array.from({ length: 20 }, (_, i) => seeded(100 + i).jitterDraw));
+    assert.ok(draws.size > 1);
+    assert.notEqual(seeded(100, { jitterSeed: 'beta' }).jitterDraw, a.jitterDraw);
+});
+
+test('seeded jitter falls back to the validator address, whatever its case', () => {
+    const seeded = (ourAddress) =>
+        compute(1, { guardRailsEnabled: false, jitterRange: [10, 10], jitterMode: 'seeded', ourAddress, epoch: 7 }).calc;
+    const lower = seeded('0xabc');
+    const upper = seeded('0xABC');
+    assert.equal(lower.jitterSource, 'validator');
+    assert.equal(lower.jitterSeed, '0xabc');
+    assert.equal(upper.jitterDraw, lower.jitterDraw);
+});
+
+test('seeded jitter needs an epoch and a seed', () => {
+    assert.throws(() => compute(1, { jitterMode: 'seeded', jitterSeed: 's' }), /needs the epoch/);
+    assert.throws(() => compute(1, { jitterMode: 'seeded', epoch: 7 }), /needs RGP_JITTER_SEED or the validator address/);
+});
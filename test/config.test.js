@@ -0,0 +1,88 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig } = require('../src/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rgp-config-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+function configFile(text) {
+    const file = path.join(dir, `config-${++files}.yaml`);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+const load = ({ env = {}, file = null, argv = [] } = {}) => loadConfig({ env, file, argv });
+
+test('the network profile supplies defaults', () => {
+    const { values, sources } = load();
+    assert.equal(values.SUI_NETWORK, 'mainnet');
+    assert.deepEqual(values.RPC_URL, ['https://fullnode.mainnet.sui.io:443']);
+    assert.equal(sources.RPC_URL, 'default');
+    assert.deepEqual(load({ env: { SUI_NETWORK: 'testnet' } }).values.RPC_URL, ['https://fullnode.testnet.sui.io:443']);
+});
+
+test('the config file beats the profile, the environment beats the file', () => {
+    const file = configFile('RPC_URL: https://file.example\nTARGET_AVG_TX_USD: 0.004\n');
+    let { values, sources } = load({ file });
+    assert.deepEqual(values.RPC_URL, ['https://file.example']);
+    assert.equal(values.TARGET_AVG_TX_USD, 0.004);
+    assert.equal(sources.RPC_URL, 'file');
+
+    ({ values, sources } = load({ file, env: { RPC_URL: 'https://env.example', TARGET_AVG_TX_USD: '  ' } }));
+    assert.deepEqual(values.RPC_URL, ['https://env.example']);
+    assert.equal(sources.RPC_URL, 'env');
+    // A blank env value counts as unset
+    assert.equal(values.TARGET_AVG_TX_USD, 0.004);
+});
+
+test('<NETWORK>_<NAME> beats the plain name within the environment and within the file', () => {
+    const file = configFile([
+        'TARGET_AVG_TX_USD: 0.001',
+        'MAINNET_TARGET_AVG_TX_USD: 0.002',
+        'RPC_URL: https://file.example',
+        'networks:',
+        '  mainnet:',
+        '    RPC_URL: https://file-mainnet.example',
+    ].join('\n'));
+    let { values, sources } = load({ file });
+    assert.equal(values.TARGET_AVG_TX_USD, 0.002);
+    assert.equal(sources.TARGET_AVG_TX_USD, 'file MAINNET_TARGET_AVG_TX_USD');
+    assert.deepEqual(values.RPC_URL, ['https://file-mainnet.example']);
+    assert.equal(sources.RPC_URL, 'file networks.mainnet.RPC_URL');
+
+    ({ values, sources } = load({ file, env: { TARGET_AVG_TX_USD: '0.003', MAINNET_TARGET_AVG_TX_USD: '0.005' } }));
+    assert.equal(values.TARGET_AVG_TX_USD, 0.005);
+    assert.equal(sources.TARGET_AVG_TX_USD, 'env MAINNET_TARGET_AVG_TX_USD');
+
+    // The plain env name still beats anything in the file
+    ({ values } = load({ file, env: { TARGET_AVG_TX_USD: '0.003' } }));
+    assert.equal(values.TARGET_AVG_TX_USD, 0.003);
+});
+
+test("other networks' keys are ignored", () => {
+    const file = configFile('networks:\n  testnet:\n    TARGET_AVG_TX_USD: 0.01\n');
+    const { values } = load({ file, env: { TESTNET_RPC_URL: 'https://testnet.example' } });
+    assert.equal(values.TARGET_AVG_TX_USD, null);
+    assert.deepEqual(values.RPC_URL, ['https://fullnode.mainnet.sui.io:443']);
+});
+
+test('--network beats SUI_NETWORK and selects that network\'s keys and profile', () => {
+    const { values, sources } = load({
+        env: { SUI_NETWORK: 'mainnet', TESTNET_TARGET_AVG_TX_USD: '0.01' },
+        argv: ['--network', 'testnet'],
+    });
+    assert.equal(values.SUI_NETWORK, 'testnet');
+    assert.equal(sources.SUI_NETWORK, 'cli');
+    assert.equal(values.TARGET_AVG_TX_USD, 0.01);
+    assert.deepEqual(values.RPC_URL, ['https://fullnode.testnet.sui.io:443']);
+});
+
+test('a bad value names the setting and where it came from', () => {
+    assert.throws(() => load({ env: { MAINNET_TARGET_AVG_TX_USD: 'lots' } }), /TARGET_AVG_TX_USD.*env MAINNET_TARGET_AVG_TX_USD/);
+    assert.throws(() => load({ file: configFile('NOT_A_SETTING: 1\n') }), /unknown setting\(s\) NOT_A_SETTING/);
+});
@@ -0,0 +1,118 @@
+const { test, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rgp-scheduler-'));
+Object.assign(process.env, {
+    SCHEDULER_POLL_SECONDS: '60',
+    SCHEDULER_DELAY_MINUTES: '10',
+    SCHEDULER_DEADLINE_MINUTES: '360',
+    SCHEDULER_MAX_ATTEMPTS: '5',
+    SCHEDULER_RETRY_DELAY_MINUTES: '5',
+});
+
+// The scheduler takes fetchCurrentEpoch from metrics.js when it is loaded
+const metrics = require('../src/metrics');
+let currentEpoch = null;
+metrics.fetchCurrentEpoch = async () => currentEpoch;
+
+const { startEpochScheduler } = require('../src/epochScheduler');
+const { getLastHandledEpoch } = require('../src/runState');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+let stateCount = 0;
+let now = T0;
+let timers = []; // { at, fn } scheduled by the scheduler's poll loop
+
+beforeEach(() => {
+    process.env.RUN_STATE_FILE = path.join(dir, `state-${++stateCount}.json`);
+    now = T0;
+    timers = [];
+    mock.method(Date, 'now', () => now);
+    mock.method(globalThis, 'setTimeout', (fn, ms) => timers.push({ at: now + ms, fn }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Let the poll's promise chain (probe, run, state write) settle
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/** Advance the clock one poll at a time for `minutes`. */
+async function advance(minutes) {
+    for (let i = 0; i < minutes; i++) {
+        now += MINUTE_MS;
+        const due = timers.filter((t) => t.at <= now);
+        timers = timers.filter((t) => t.at > now);
+        for (const t of due) t.fn();
+        await settle();
+    }
+}
+
+/** An epoch that started `minutesAgo` before T0, and a scheduler whose run records each call. */
+async function start(minutesAgo, run) {
+    currentEpoch = { epochId: 42, startTimestampMs: T0 - minutesAgo * MINUTE_MS };
+    const runs = [];
+    startEpochScheduler(async (epoch, opts) => {
+        runs.push({ minute: Math.round((Date.now() - epoch.startTimestampMs) / MINUTE_MS), ...opts });
+        return run(runs.length);
+    });
+    await settle();
+    return runs;
+}
+
+test('runs a new epoch once, after the delay', async () => {
+    const runs = await start(0, async () => {});
+    await advance(9);
+    assert.equal(runs.length, 0);
+    await advance(60);
+    assert.deepEqual(runs.map((r) => [r.minute, r.attempt, r.finalAttempt]), [[10, 1, false]]);
+    assert.equal(runs[0].deadlineAt, currentEpoch.startTimestampMs + 360 * MINUTE_MS);
+    assert.equal(getLastHandledEpoch(), 42);
+});
+
+test('retries a failed run with exponential backoff and gives up after SCHEDULER_MAX_ATTEMPTS', async () => {
+    const runs = await start(10, async () => { throw new Error('boom'); });
+    await advance(300);
+    assert.deepEqual(
+        runs.map((r) => [r.minute, r.attempt, r.finalAttempt]),
+        [[10, 1, false], [15, 2, false], [25, 3, false], [45, 4, false], [85, 5, true]]
+    );
+    assert.equal(getLastHandledEpoch(), 42);
+});
+
+test('stops retrying once a run succeeds', async () => {
+    const runs = await start(10, async (n) => {
+        if (n < 3) throw new Error('boom');
+    });
+    await advance(300);
+    assert.deepEqual(runs.map((r) => r.attempt), [1, 2, 3]);
+    assert.equal(getLastHandledEpoch(), 42);
+});
+
+test('makes the last attempt final when the next retry would pass the deadline', async () => {
+    process.env.SCHEDULER_DEADLINE_MINUTES = '30';
+    try {
+        const runs = await start(10, async () => { throw new Error('boom'); });
+        await advance(60);
+        assert.deepEqual(runs.map((r) => [r.minute, r.attempt, r.finalAttempt]), [[10, 1, false], [15, 2, false], [25, 3, true]]);
+        assert.equal(getLastHandledEpoch(), 42);
+    } finally {
+        process.env.SCHEDULER_DEADLINE_MINUTES = '360';
+    }
+});
+
+test('skips an epoch first seen past its deadline', async () => {
+    const runs = await start(400, async () => {});
+    await advance(5);
+    assert.equal(runs.length, 0);
+    assert.equal(getLastHandledEpoch(), 42);
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { withRetry, isRetryable, loadRetryPolicy } = require('../src/retry');
+
+const policy = (overrides = {}) => loadRetryPolicy({
+    RETRY_ATTEMPTS: 4,
+    RETRY_BASE_DELAY_MS: 1,
+    RETRY_MAX_DELAY_MS: 4,
+    RETRY_BUDGET_MS: 10_000,
+    ...overrides,
+});
+
+const networkError = () => Object.assign(new Error('fetch failed'), { code: 'ECONNRESET' });
+
+beforeEach(() => {
+    policy();
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('withRetry moves to the next endpoint after a retryable failure', async () => {
+    const calls = [];
+    const out = await withRetry(async (endpoint, attempt) => {
+        calls.push([endpoint, attempt]);
+        if (endpoint === 'a') throw networkError();
+        return `ok from ${endpoint}`;
+    }, { endpoints: ['a', 'b'] });
+    assert.equal(out, 'ok from b');
+    assert.deepEqual(calls, [['a', 0], ['b', 1]]);
+});
+
+test('withRetry wraps around the endpoint list', async () => {
+    const calls = [];
+    await assert.rejects(
+        withRetry(async (endpoint) => {
+            calls.push(endpoint);
+            throw networkError();
+        }, { endpoints: ['a', 'b'], label: 'probe' }),
+        /probe failed after 4 attempt\(s\): fetch failed/
+    );
+    assert.deepEqual(calls, ['a', 'b', 'a', 'b']);
+});
+
+test('withRetry fails at once on an error that is not retryable', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw Object.assign(new Error('bad request'), { status: 400 });
+        }, { endpoints: ['a', 'b'] }),
+        /^Error: bad request$/
+    );
+    assert.equal(calls, 1);
+});
+
+test('withRetry honours a custom retryable predicate', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw networkError();
+        }, { endpoints: 'a', retryable: () => false }),
+        /fetch failed/
+    );
+    assert.equal(calls, 1);
+});
+
+test('withRetry stops once the next wait would overrun RETRY_BUDGET_MS', async () => {
+    policy({ RETRY_BASE_DELAY_MS: 1_000, RETRY_MAX_DELAY_MS: 1_000, RETRY_BUDGET_MS: 500 });
+    mock.method(Math, 'random', () => 1);
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw networkError();
+        }, { endpoints: 'a', label: 'probe' }),
+        /probe failed, retry budget of 500 ms spent: fetch failed/
+    );
+    assert.equal(calls, 1);
+});
+
+test('withRetry needs an endpoint', async () => {
+    await assert.rejects(withRetry(async () => 'x', { endpoints: [], label: 'probe' }), /probe: no endpoint configured/);
+});
+
+test('isRetryable: network failures, timeouts and HTTP 408/429/5xx only', () => {
+    assert.equal(isRetryable(networkError()), true);
+    assert.equal(isRetryable(Object.assign(new Error('x'), { name: 'AbortError' })), true);
+    assert.equal(isRetryable(new Error('request timed out')), true);
+    assert.equal(isRetryable({ status: 503 }), true);
+    assert.equal(isRetryable({ response: { status: 429 } }), true);
+    assert.equal(isRetryable(new Error('Unexpected status code: 502')), true);
+    assert.equal(isRetryable({ status: 404 }), false);
+    assert.equal(isRetryable(new Error('MoveAbort in 0x3::validator')), false);
+    assert.equal(isRetryable(Object.assign(new Error('fetch failed'), { retryable: false })), false);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Ed25519Keypair } = require('@mysten/sui.js/keypairs/ed25519');
+const { Secp256k1Keypair } = require('@mysten/sui.js/keypairs/secp256k1');
+const { verifyTransactionBlock } = require('@mysten/sui.js/verify');
+const { toB64 } = require('@mysten/sui.js/utils');
+
+const { combineMultisig } = require('../src/updateGasPrice');
+
+const signers = [Ed25519Keypair.generate(), Secp256k1Keypair.generate(), Ed25519Keypair.generate()];
+const multisig = {
+    threshold: 2,
+    publicKeys: signers.map((k) => ({ publicKey: toB64(k.getPublicKey().toSuiBytes()), weight: 1 })),
+};
+const txBytes = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7]);
+const sign = async (keypair) => (await keypair.signTransactionBlock(txBytes)).signature;
+
+test('combineMultisig combines member signatures into one signature from the multisig address', async () => {
+    const out = combineMultisig([await sign(signers[0]), await sign(signers[1])], multisig);
+    assert.equal(out.weight, 2);
+    const signer = await verifyTransactionBlock(txBytes, out.signature);
+    assert.equal(signer.toSuiAddress(), out.address);
+});
+
+test('combineMultisig gives the same address whichever members sign', async () => {
+    const a = combineMultisig([await sign(signers[0]), await sign(signers[1])], multisig);
+    const b = combineMultisig([await sign(signers[2]), await sign(signers[1])], multisig);
+    assert.equal(a.address, b.address);
+});
+
+test('combineMultisig refuses signatures below the threshold', async () => {
+    assert.throws(() => combineMultisig([], multisig), /signatures carry weight 0, the multisig threshold is 2/);
+    const one = await sign(signers[1]);
+    assert.throws(() => combineMultisig([one], multisig), /signatures carry weight 1, the multisig threshold is 2/);
+});
+
+test('combineMultisig refuses a signature from outside the multisig', async () => {
+    const outsider = await sign(Ed25519Keypair.generate());
+    assert.throws(() => combineMultisig([outsider], multisig), /is not from a multisig member/);
+});
+
+test('combineMultisig refuses a public key with an unknown scheme flag', () => {
+    const bad = { threshold: 1, publicKeys: [{ publicKey: toB64(new Uint8Array([9, ...new Uint8Array(32)])), weight: 1 }] };
+    assert.throws(() => combineMultisig([], bad), /unsupported flag 9/);
+});
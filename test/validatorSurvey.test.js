@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { surveyPrice, analyzeSurvey } = require('../src/validatorSurvey');
+
+const entries = (...pairs) => pairs.map(([price, weight]) => ({ price, weight }));
+
+test('surveyPrice takes the price where the voting power from the top reaches total − quorum', () => {
+    // From the top: 300 (2000) < 3333, then 200 (5000) reaches it
+    assert.equal(surveyPrice(entries([100, 5000], [200, 3000], [300, 2000])), 200);
+    // 300 alone carries 3334 ≥ 3333
+    assert.equal(surveyPrice(entries([100, 3333], [200, 3333], [300, 3334])), 300);
+    // 300 carries 3332, one short: the cutoff drops to 200
+    assert.equal(surveyPrice(entries([100, 3334], [200, 3334], [300, 3332])), 200);
+});
+
+test('surveyPrice does not depend on the order of the entries', () => {
+    const quotes = entries([750, 1200], [1000, 800], [500, 4000], [900, 2500], [800, 1500]);
+    const expected = surveyPrice(quotes);
+    assert.equal(expected, 800);
+    assert.equal(surveyPrice([...quotes].reverse()), expected);
+    assert.equal(surveyPrice([...quotes].sort((a, b) => a.price - b.price)), expected);
+});
+
+test('surveyPrice scales with the total voting power', () => {
+    assert.equal(surveyPrice(entries([100, 50], [200, 30], [300, 20])), 200);
+    assert.equal(surveyPrice(entries([1000, 1])), 1000);
+});
+
+test('surveyPrice is null without voting power', () => {
+    assert.equal(surveyPrice([]), null);
+    assert.equal(surveyPrice(entries([100, 0], [200, 0])), null);
+});
+
+test('analyzeSurvey replaces our quote with the proposal', () => {
+    const survey = {
+        epoch: 7,
+        validators: [
+            { name: 'a', address: '0xA', stakeMist: 1, votingPower: 5000, gasPrice: 100, nextEpochGasPrice: 100 },
+            { name: 'b', address: '0xb', stakeMist: 1, votingPower: 3000, gasPrice: 200, nextEpochGasPrice: 200 },
+            { name: 'ours', address: '0xc', stakeMist: 1, votingPower: 2000, gasPrice: 300, nextEpochGasPrice: 300 },
+        ],
+    };
+    const out = analyzeSurvey(survey, { ourAddress: '0xC', proposal: 50 });
+    assert.equal(out.ourValidator, 'ours');
+    assert.equal(out.rgpFromNextEpochQuotes, 200);
+    // 200 (3000) reaches 3333 only together with 100 (5000): the cutoff is 100
+    assert.equal(out.rgpWithProposal, 100);
+    assert.equal(out.position, 'below');
+    assert.equal(out.proposalRank, 1);
+    assert.equal(out.movesRgp, true);
+});